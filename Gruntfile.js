@@ -7,7 +7,7 @@ module.exports = function(grunt) {
       files: ['test/**/*.js']
     },
     jshint: {
-      files: ['Gruntfile.js', 'lib/**/*.js', 'test/**/*.js'],
+      files: ['*.js', 'bin/**/*.js', 'lib/**/*.js', 'test/**/*.js'],
       options: {
         bitwise: true,
         curly: true,
@@ -31,7 +31,9 @@ module.exports = function(grunt) {
           suite: false,
           test: false,
           setup: false,
-          teardown: false
+          teardown: false,
+          Promise: false,
+          Symbol: false
         },
 
         // Suppress
@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/*
+ * Command-line diagnostics of wwwhisper configuration.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2), process.stdout, process.stderr)
+  .then(function(exitCode) {
+    process.exitCode = exitCode;
+  });
@@ -0,0 +1,21 @@
+// Type definitions for connect-wwwhisper/fastify
+// Project: https://github.com/wrr/connect-wwwhisper
+
+import { FastifyPluginCallback } from "fastify";
+import wwwhisper = require("./lib/connect-wwwhisper");
+
+declare module "fastify" {
+  interface FastifyInstance {
+    // The Connect middleware that does the actual work.
+    wwwhisper: wwwhisper.Middleware;
+  }
+
+  interface FastifyRequest {
+    // Set for allowed requests.
+    wwwhisper: wwwhisper.RequestInfo | null;
+  }
+}
+
+declare const fastifyWwwhisper: FastifyPluginCallback<wwwhisper.Options>;
+
+export = fastifyWwwhisper;
@@ -0,0 +1,27 @@
+// Type definitions for connect-wwwhisper/koa
+// Project: https://github.com/wrr/connect-wwwhisper
+
+import http = require("http");
+import wwwhisper = require("./lib/connect-wwwhisper");
+
+declare function koaWwwhisper(
+  options?: boolean | wwwhisper.Options): koaWwwhisper.Middleware;
+
+declare namespace koaWwwhisper {
+  // The parts of a Koa context used by the middleware, so Koa types
+  // are not required.
+  interface Context {
+    req: http.IncomingMessage;
+    res: http.ServerResponse;
+    state: any;
+    respond?: boolean;
+  }
+
+  interface Middleware {
+    (ctx: Context, next: () => Promise<any>): Promise<any>;
+    // The Connect middleware that does the actual work.
+    wwwhisper: wwwhisper.Middleware;
+  }
+}
+
+export = koaWwwhisper;
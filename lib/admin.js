@@ -0,0 +1,246 @@
+/*
+ * Client of the wwwhisper admin API.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var WwwhisperError = require('./errors').WwwhisperError;
+
+var API_PATH = '/wwwhisper/admin/api/';
+var CSRF_TOKEN_PATH = '/wwwhisper/auth/api/csrftoken/';
+
+// Locations and users can be passed as objects returned by the API
+// or as ids.
+function idOf(item) {
+  return encodeURIComponent(typeof item === 'string' ? item : item.id);
+}
+
+function adminError(config, message, properties) {
+  properties.phase = 'admin';
+  properties.backendUrl = config.backendUrl;
+  return new WwwhisperError(message, properties);
+}
+
+/**
+ * Manages locations and users of a site with the wwwhisper admin
+ * API. config is a configuration of the middleware with a siteUrl,
+ * cookies is an optional Cookie header with a session of a user
+ * allowed to access /wwwhisper/admin/. Created by wwwhisper.admin().
+ *
+ * All methods return promises. Failed requests are rejected with a
+ * WwwhisperError with 'admin' phase and, if wwwhisper responded, the
+ * status of the response.
+ */
+function AdminClient(config, cookies) {
+  this.config = config;
+  this.cookies = cookies || null;
+  this.csrfToken = null;
+  this.csrfTokenRequest = null;
+}
+
+// Sends a request to wwwhisper, resolves with the response with a
+// buffered body.
+AdminClient.prototype.send = function(method, path, body) {
+  var config = this.config;
+  var headers = {
+    'Accept': 'application/json',
+    'Referer': config.siteUrl + '/wwwhisper/admin/',
+    'Site-Url': config.siteUrl,
+    'User-Agent': 'node-1.1.1'
+  };
+  var cookies = this.cookies !== null ? [this.cookies] : [];
+  if (this.csrfToken !== null) {
+    headers['X-CSRFToken'] = this.csrfToken;
+    cookies.push('csrftoken=' + this.csrfToken);
+  }
+  if (cookies.length !== 0) {
+    headers['Cookie'] = cookies.join('; ');
+  }
+  var data = null;
+  if (body !== undefined) {
+    data = Buffer.from(JSON.stringify(body));
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = data.length;
+  }
+  return new Promise(function(resolve, reject) {
+    function failed(err) {
+      reject(adminError(config, 'wwwhisper admin request failed',
+                        {cause: err}));
+    }
+    var req = config.http.request({
+      hostname: config.url.hostname,
+      port: config.url.port,
+      path: path,
+      auth: config.url.auth,
+      agent: config.agent,
+      headers: headers,
+      method: method
+    }, function(res) {
+      var chunks = [];
+      res.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      res.on('end', function() {
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString()
+        });
+      });
+      res.on('error', failed);
+    });
+    req.setTimeout(config.responseTimeout, function() {
+      var err = new Error('wwwhisper response timeout');
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    });
+    req.on('error', failed);
+    req.end(data);
+  });
+};
+
+// Resolves with a parsed JSON body of a successful response, null if
+// the response has no body.
+AdminClient.prototype.call = function(method, path, body) {
+  var self = this;
+  var config = this.config;
+  var ready = (method === 'GET' ? Promise.resolve() :
+               this.fetchCsrfToken());
+  return ready.then(function() {
+    return self.send(method, path, body);
+  }).then(function(res) {
+    if (res.statusCode < 200 || res.statusCode > 299) {
+      throw adminError(
+        config, 'wwwhisper admin request failed with ' + res.statusCode +
+          (res.body ? ': ' + res.body.trim() : ''),
+        {status: res.statusCode});
+    }
+    if (res.statusCode === 204 || res.body === '') {
+      return null;
+    }
+    try {
+      return JSON.parse(res.body);
+    } catch (err) {
+      throw adminError(config, 'Invalid wwwhisper admin response',
+                       {cause: err, status: res.statusCode});
+    }
+  });
+};
+
+// Requests that modify the site need a CSRF token, the same for all
+// requests of the client. Concurrent requests wait for a single
+// request of the token.
+AdminClient.prototype.fetchCsrfToken = function() {
+  var self = this;
+  var config = this.config;
+  if (this.csrfTokenRequest !== null) {
+    return this.csrfTokenRequest;
+  }
+  this.csrfTokenRequest = this.send('POST', CSRF_TOKEN_PATH).then(
+    function(res) {
+      var token = null;
+      try {
+        token = JSON.parse(res.body).csrfToken;
+      } catch (err) {}
+      if (res.statusCode !== 200 || typeof token !== 'string') {
+        throw adminError(config, 'Failed to get wwwhisper CSRF token',
+                         {status: res.statusCode});
+      }
+      self.csrfToken = token;
+    }).catch(function(err) {
+      // The next request retries.
+      self.csrfTokenRequest = null;
+      throw err;
+    });
+  return this.csrfTokenRequest;
+};
+
+/**
+ * Resolves with a list of locations. A location is an object with id,
+ * path, allowedUsers (a list of users) and, if the location is open
+ * to everyone, openAccess.
+ */
+AdminClient.prototype.locations = function() {
+  return this.call('GET', API_PATH + 'locations/').then(function(body) {
+    return body.locations;
+  });
+};
+
+/**
+ * Resolves with a location with a given path, null if there is no
+ * such location.
+ */
+AdminClient.prototype.findLocation = function(path) {
+  return this.locations().then(function(locations) {
+    var found = locations.filter(function(location) {
+      return location.path === path;
+    });
+    return found.length !== 0 ? found[0] : null;
+  });
+};
+
+AdminClient.prototype.addLocation = function(path) {
+  return this.call('POST', API_PATH + 'locations/', {path: path});
+};
+
+AdminClient.prototype.deleteLocation = function(location) {
+  return this.call('DELETE', API_PATH + 'locations/' + idOf(location) + '/');
+};
+
+/**
+ * Resolves with a list of users. A user is an object with id and
+ * email.
+ */
+AdminClient.prototype.users = function() {
+  return this.call('GET', API_PATH + 'users/').then(function(body) {
+    return body.users;
+  });
+};
+
+AdminClient.prototype.addUser = function(email) {
+  return this.call('POST', API_PATH + 'users/', {email: email});
+};
+
+AdminClient.prototype.deleteUser = function(user) {
+  return this.call('DELETE', API_PATH + 'users/' + idOf(user) + '/');
+};
+
+function allowedUserPath(location, user) {
+  return (API_PATH + 'locations/' + idOf(location) + '/allowed-users/' +
+          idOf(user) + '/');
+}
+
+/**
+ * Allows a user to access a location.
+ */
+AdminClient.prototype.grantAccess = function(location, user) {
+  return this.call('PUT', allowedUserPath(location, user));
+};
+
+AdminClient.prototype.revokeAccess = function(location, user) {
+  return this.call('DELETE', allowedUserPath(location, user));
+};
+
+/**
+ * Makes a location open to everyone (if open is true) or only to
+ * allowed users.
+ */
+AdminClient.prototype.setOpenAccess = function(location, open) {
+  return this.call(open ? 'PUT' : 'DELETE',
+                   API_PATH + 'locations/' + idOf(location) +
+                   '/open-access/');
+};
+
+/**
+ * Closes idle connections to wwwhisper, unless the agent was passed
+ * with the agent option. Further requests open new connections.
+ */
+AdminClient.prototype.close = function() {
+  if (this.config.ownsAgent) {
+    this.config.agent.destroy();
+  }
+};
+
+exports.AdminClient = AdminClient;
@@ -0,0 +1,203 @@
+/*
+ * Reads and validates an address of the wwwhisper service.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var fs = require('fs');
+var url = require('url');
+var URL = url.URL;
+
+function readSecretFile(variable, env) {
+  var path = env[variable];
+  try {
+    return fs.readFileSync(path, 'utf8').trim();
+  } catch (err) {
+    // The error describes only the path, not the content of the file.
+    throw new Error('Failed to read ' + variable + ': ' + err.message);
+  }
+}
+
+/**
+ * Returns the address of wwwhisper configured with environment
+ * variables, undefined if not configured:
+ *  WWWHISPER_URL: the address, or
+ *  WWWHISPER_URL_FILE: a path to a file with the address (such as a
+ *  Docker or Kubernetes secret).
+ * Credentials of the address are replaced with WWWHISPER_USERNAME and
+ * WWWHISPER_PASSWORD (or WWWHISPER_PASSWORD_FILE) if set.
+ */
+function fromEnvironment(env) {
+  var urlStr = env.WWWHISPER_URL;
+  if (urlStr === undefined && env.WWWHISPER_URL_FILE !== undefined) {
+    urlStr = readSecretFile('WWWHISPER_URL_FILE', env);
+  }
+  if (urlStr === undefined) {
+    return undefined;
+  }
+  var password = env.WWWHISPER_PASSWORD;
+  if (password === undefined && env.WWWHISPER_PASSWORD_FILE !== undefined) {
+    password = readSecretFile('WWWHISPER_PASSWORD_FILE', env);
+  }
+  if (env.WWWHISPER_USERNAME === undefined && password === undefined) {
+    return urlStr;
+  }
+  var parsed;
+  try {
+    parsed = new URL(urlStr);
+  } catch (err) {
+    // Reported by parse().
+    return urlStr;
+  }
+  if (env.WWWHISPER_USERNAME !== undefined) {
+    parsed.username = encodeURIComponent(env.WWWHISPER_USERNAME);
+  }
+  if (password !== undefined) {
+    parsed.password = encodeURIComponent(password);
+  }
+  return parsed;
+}
+
+/**
+ * Returns an http or https address with the password replaced with
+ * '***' and without a query and a fragment, safe to be logged or
+ * included in error messages.
+ */
+function redacted(parsed) {
+  var auth = null;
+  if (parsed.auth) {
+    var idx = parsed.auth.indexOf(':');
+    auth = idx === -1 ? parsed.auth : parsed.auth.slice(0, idx) + ':***';
+  }
+  return url.format({
+    protocol: parsed.protocol,
+    slashes: true,
+    auth: auth,
+    host: parsed.host,
+    pathname: parsed.pathname
+  });
+}
+
+var SCHEME_REGEXP = /^https?:\/\//i;
+
+function schemeError() {
+  // Without a known scheme, credentials can not be reliably found and
+  // redacted, so the address is not included in the error.
+  return new Error('Invalid wwwhisper url: scheme needs to be http or ' +
+                   'https');
+}
+
+// Describes an http or https address that is not a valid URL. The
+// address is not parsed, so only the scheme, the user name and the
+// host are included in the error.
+function malformedError(urlStr) {
+  var scheme = SCHEME_REGEXP.exec(urlStr)[0];
+  var authority = urlStr.slice(scheme.length).split(/[\/?#]/)[0];
+  var at = authority.lastIndexOf('@');
+  if (at === -1 && urlStr.indexOf('@', scheme.length) !== -1) {
+    // Credentials with an unescaped '/', '?' or '#', the host can not
+    // be told apart from the password.
+    return new Error('Invalid wwwhisper url: address is malformed');
+  }
+  var host = authority.slice(at + 1);
+  var user = '';
+  if (at !== -1) {
+    var userinfo = authority.slice(0, at);
+    var idx = userinfo.indexOf(':');
+    user = (idx === -1 ? userinfo : userinfo.slice(0, idx) + ':***') + '@';
+  }
+  var problem = 'address is malformed';
+  // A port follows the host name or a bracketed IPv6 address.
+  var port = /^(?:\[[^\]]*\]|[^:]*)(:.*)?$/.exec(host)[1];
+  if (host === '') {
+    problem = 'host is missing';
+  } else if (port !== undefined && !/^:\d*$/.test(port)) {
+    problem = 'port is invalid';
+  }
+  return new Error('Invalid wwwhisper url ' + scheme + user + host + ': ' +
+                   problem);
+}
+
+// Returns fields of a WHATWG URL in the form of url.parse() results,
+// used by the rest of the middleware.
+function urlFields(parsed) {
+  var auth = null;
+  if (parsed.username !== '' || parsed.password !== '') {
+    try {
+      auth = (decodeURIComponent(parsed.username) + ':' +
+              decodeURIComponent(parsed.password));
+    } catch (err) {
+      throw new Error('Invalid wwwhisper url: credentials are malformed');
+    }
+  }
+  return {
+    protocol: parsed.protocol,
+    auth: auth,
+    host: parsed.host,
+    // Without brackets of IPv6 addresses, like http.request() expects.
+    hostname: parsed.hostname.replace(/^\[(.*)\]$/, '$1'),
+    port: parsed.port || null,
+    pathname: parsed.pathname,
+    search: parsed.search,
+    hash: parsed.hash
+  };
+}
+
+function isLoopback(hostname) {
+  return (hostname === 'localhost' || hostname === '::1' ||
+          hostname === '[::1]' || /^127\./.test(hostname));
+}
+
+/**
+ * Parses and validates an address of wwwhisper (a string or a URL
+ * returned by fromEnvironment()), throws an error that describes the
+ * problem if the address is invalid. The address needs to be an http
+ * or https URL with a host and optional credentials (a user name and a
+ * password), without a path, a query or a fragment. Passwords are
+ * never included in errors.
+ */
+function parse(urlStr) {
+  var whatwgUrl = urlStr;
+  if (typeof urlStr === 'string') {
+    // The legacy url.parse() is not used, it warns about invalid
+    // addresses with the whole address, including the password.
+    try {
+      whatwgUrl = new URL(urlStr);
+    } catch (err) {
+      // The error can include the address.
+      throw SCHEME_REGEXP.test(urlStr) ? malformedError(urlStr) :
+        schemeError();
+    }
+  }
+  if (whatwgUrl.protocol !== 'http:' && whatwgUrl.protocol !== 'https:') {
+    throw schemeError();
+  }
+  var parsed = urlFields(whatwgUrl);
+  function invalid(problem) {
+    return new Error('Invalid wwwhisper url ' + redacted(parsed) + ': ' +
+                     problem);
+  }
+  if (!parsed.hostname) {
+    throw invalid('host is missing');
+  }
+  if (parsed.auth) {
+    var idx = parsed.auth.indexOf(':');
+    if (idx <= 0 || idx === parsed.auth.length - 1) {
+      throw invalid('credentials need a user name and a password');
+    }
+  }
+  if (parsed.pathname && parsed.pathname !== '/') {
+    throw invalid('path is not allowed');
+  }
+  if (parsed.search || parsed.hash) {
+    throw invalid('query and fragment are not allowed');
+  }
+  return parsed;
+}
+
+exports.fromEnvironment = fromEnvironment;
+exports.redacted = redacted;
+exports.isLoopback = isLoopback;
+exports.parse = parse;
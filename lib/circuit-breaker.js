@@ -0,0 +1,84 @@
+/*
+ * Circuit breaker for requests to the wwwhisper backend.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var DEFAULT_THRESHOLD = 5;
+var DEFAULT_RESET_TIMEOUT = 10000;
+
+var CLOSED = 'closed';
+var OPEN = 'open';
+var HALF_OPEN = 'half-open';
+
+/**
+ * After threshold consecutive failures the breaker opens and rejects
+ * all requests. When resetTimeout milliseconds pass, a single probe
+ * request is let through: its success closes the breaker, its
+ * failure opens the breaker again for another resetTimeout.
+ */
+function CircuitBreaker(options) {
+  options = options || {};
+  this.threshold = (options.threshold !== undefined ?
+                    options.threshold : DEFAULT_THRESHOLD);
+  this.resetTimeout = (options.resetTimeout !== undefined ?
+                       options.resetTimeout : DEFAULT_RESET_TIMEOUT);
+  this.state = CLOSED;
+  this.failures = 0;
+  this.openedAt = 0;
+}
+
+/**
+ * Returns true if a request to the backend can be made. Each allowed
+ * request must be followed by a call to success(), failure() or
+ * release().
+ */
+CircuitBreaker.prototype.allowRequest = function() {
+  if (this.state === CLOSED) {
+    return true;
+  }
+  if (this.state === OPEN &&
+      Date.now() - this.openedAt >= this.resetTimeout) {
+    this.state = HALF_OPEN;
+    return true;
+  }
+  return false;
+};
+
+CircuitBreaker.prototype.success = function() {
+  this.state = CLOSED;
+  this.failures = 0;
+};
+
+CircuitBreaker.prototype.failure = function() {
+  this.failures += 1;
+  if (this.state === HALF_OPEN || this.failures >= this.threshold) {
+    this.state = OPEN;
+    this.openedAt = Date.now();
+  }
+};
+
+/**
+ * Called instead of success() or failure() for an allowed request
+ * that was abandoned before the backend responded (for example the
+ * client disconnected). Such request tells nothing about the backend,
+ * so if it was a probe, the next request probes the backend again.
+ */
+CircuitBreaker.prototype.release = function() {
+  if (this.state === HALF_OPEN) {
+    this.state = OPEN;
+  }
+};
+
+/**
+ * Returns the number of seconds after which the next probe request
+ * will be let through.
+ */
+CircuitBreaker.prototype.retryAfter = function() {
+  var remaining = this.openedAt + this.resetTimeout - Date.now();
+  return Math.max(1, Math.ceil(remaining / 1000));
+};
+
+exports.CircuitBreaker = CircuitBreaker;
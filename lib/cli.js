@@ -0,0 +1,231 @@
+/*
+ * Command-line diagnostics of wwwhisper configuration.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var http = require('http');
+var url = require('url');
+var wwwhisper = require('./connect-wwwhisper');
+
+var USAGE = [
+  'Usage: connect-wwwhisper <command> [options]',
+  '',
+  'Commands:',
+  '  check             Check that wwwhisper is reachable and accepts',
+  '                    the credentials.',
+  '  authorize <path>  Ask wwwhisper if a visit of a path is authorized,',
+  '                    print the query, the response and the timing.',
+  '',
+  'Options:',
+  '  --site <url>      Address of the site, such as https://example.com',
+  '                    (required).',
+  '  --url <url>       Address of wwwhisper, by default taken from',
+  '                    WWWHISPER_URL or WWWHISPER_URL_FILE (and',
+  '                    WWWHISPER_USERNAME, WWWHISPER_PASSWORD or',
+  '                    WWWHISPER_PASSWORD_FILE) like by the middleware.',
+  '  --cookie <cookie> Cookie header of the visitor.',
+  '  --request-id <id> X-Request-Id of the query.',
+  '  -h, --help        Print this help.',
+  '',
+  'Exit status: 0 if the check passes or the visit is allowed, 1 if',
+  'wwwhisper fails, 2 for invalid arguments, 3 if the visit is',
+  'rejected.',
+  ''
+].join('\n');
+
+var EXIT_OK = 0;
+var EXIT_FAILURE = 1;
+var EXIT_USAGE = 2;
+var EXIT_REJECTED = 3;
+
+// Values of options that take an argument are stored under these
+// names.
+var OPTIONS = {
+  '--url': 'url',
+  '--site': 'site',
+  '--cookie': 'cookie',
+  '--request-id': 'requestId'
+};
+
+function usageError(message) {
+  var err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function parseArgs(args) {
+  var parsed = {help: false, positional: []};
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+    } else if (OPTIONS.hasOwnProperty(arg)) {
+      if (i + 1 === args.length) {
+        throw usageError(arg + ' needs a value');
+      }
+      i += 1;
+      parsed[OPTIONS[arg]] = args[i];
+    } else if (arg.charAt(0) === '-') {
+      throw usageError('Unknown option: ' + arg);
+    } else {
+      parsed.positional.push(arg);
+    }
+  }
+  return parsed;
+}
+
+// Returns a request of a visitor of the site, like the middleware
+// would get.
+function visitorRequest(parsed, path) {
+  if (parsed.site === undefined) {
+    throw usageError('--site is required');
+  }
+  var site = url.parse(parsed.site);
+  if ((site.protocol !== 'http:' && site.protocol !== 'https:') ||
+      !site.host) {
+    throw usageError('--site needs to be an http or https address');
+  }
+  var headers = {host: site.host};
+  if (parsed.cookie !== undefined) {
+    headers['cookie'] = parsed.cookie;
+  }
+  if (parsed.requestId !== undefined) {
+    headers['x-request-id'] = parsed.requestId;
+  }
+  return {
+    headers: headers,
+    url: path,
+    connection: {encrypted: site.protocol === 'https:'}
+  };
+}
+
+function printHeaders(out, prefix, headers) {
+  Object.keys(headers).forEach(function(name) {
+    [].concat(headers[name]).forEach(function(value) {
+      out.write(prefix + name + ': ' + value + '\n');
+    });
+  });
+}
+
+function printExchange(out, result) {
+  out.write('> ' + result.request.method + ' ' + result.request.url + '\n');
+  printHeaders(out, '> ', result.request.headers);
+  out.write('< ' + result.status + ' ' +
+            (http.STATUS_CODES[result.status] || '') + '\n');
+  printHeaders(out, '< ', result.headers);
+  if (result.body) {
+    out.write('<\n' + result.body.trim() + '\n');
+  }
+}
+
+function timing(result) {
+  return result.latency.toFixed(1) + ' ms';
+}
+
+// wwwhisper responds with a Basic challenge if it rejects the
+// credentials of the site.
+function credentialsRejected(result) {
+  return (result.status === 401 &&
+          /^basic/i.test(result.headers['www-authenticate'] || ''));
+}
+
+function check(client, parsed, out) {
+  return client.diagnose(visitorRequest(parsed, '/')).then(function(result) {
+    var backend = url.resolve(result.request.url, '/');
+    if (credentialsRejected(result)) {
+      out.write('wwwhisper at ' + backend + ' rejected the credentials\n');
+      return EXIT_FAILURE;
+    }
+    if ([200, 401, 403].indexOf(result.status) === -1) {
+      printExchange(out, result);
+      out.write('wwwhisper responded with unexpected status ' +
+                result.status + '\n');
+      return EXIT_FAILURE;
+    }
+    out.write('wwwhisper at ' + backend + ' is reachable and ' +
+              'accepts the credentials (' + timing(result) + ')\n');
+    return EXIT_OK;
+  });
+}
+
+function authorize(client, parsed, out) {
+  if (parsed.positional.length !== 2) {
+    return Promise.reject(usageError('authorize needs a path'));
+  }
+  var req = visitorRequest(parsed, parsed.positional[1]);
+  return client.diagnose(req).then(function(result) {
+    printExchange(out, result);
+    var exitCode = EXIT_REJECTED;
+    var decision;
+    if (result.status === 200) {
+      exitCode = EXIT_OK;
+      decision = 'allowed' + (result.headers['user'] !== undefined ?
+                              ' (user ' + result.headers['user'] + ')' :
+                              ' (open location)');
+    } else if (credentialsRejected(result)) {
+      exitCode = EXIT_FAILURE;
+      decision = 'wwwhisper rejected the credentials';
+    } else if (result.status === 401) {
+      decision = 'login required';
+    } else if (result.status === 403) {
+      decision = 'denied';
+    } else {
+      exitCode = EXIT_FAILURE;
+      decision = 'wwwhisper failed';
+    }
+    out.write('Decision: ' + decision + '\n');
+    out.write('Time: ' + timing(result) + '\n');
+    return exitCode;
+  });
+}
+
+var COMMANDS = {
+  check: check,
+  authorize: authorize
+};
+
+/**
+ * Runs a command with given arguments (without the node and the
+ * script paths), writes results to out and errors to err (writable
+ * streams). Returns a promise of the exit status.
+ */
+function run(args, out, err) {
+  var client = null;
+  return new Promise(function(resolve) {
+    var parsed = parseArgs(args);
+    if (parsed.help) {
+      out.write(USAGE);
+      resolve(EXIT_OK);
+      return;
+    }
+    var name = parsed.positional[0];
+    if (!COMMANDS.hasOwnProperty(name)) {
+      throw usageError(parsed.positional.length === 0 ?
+                       'Command is missing' :
+                       'Unknown command: ' + name);
+    }
+    client = wwwhisper.client({url: parsed.url});
+    resolve(COMMANDS[name](client, parsed, out));
+  }).catch(function(error) {
+    var cause = error.cause;
+    err.write('connect-wwwhisper: ' + error.message +
+              // Errors of connections to several addresses have no
+              // message, only a code.
+              (cause ? ': ' + (cause.message || cause.code) : '') + '\n');
+    if (error.usage) {
+      err.write('\n' + USAGE);
+      return EXIT_USAGE;
+    }
+    return EXIT_FAILURE;
+  }).then(function(exitCode) {
+    if (client !== null) {
+      client.close();
+    }
+    return exitCode;
+  });
+}
+
+exports.run = run;
@@ -2,14 +2,287 @@
 // Project: https://github.com/wrr/connect-wwwhisper
 
 import connect = require("connect");
+import http = require("http");
+import https = require("https");
 
-declare function wwwhisper(injectLogout?: boolean): connect.HandleFunction;
+declare function wwwhisper(
+  options?: boolean | wwwhisper.Options): wwwhisper.Middleware;
 
 declare namespace wwwhisper {
 // namespace declaration seems to be needed so
 // import * as wwwhisper from "connect-wwwhisper";
 // syntax works
+
+  interface CacheOptions {
+    // In milliseconds.
+    maxAge?: number;
+    maxEntries?: number;
+  }
+
+  interface CircuitBreakerOptions {
+    threshold?: number;
+    // In milliseconds.
+    resetTimeout?: number;
+  }
+
+  interface InjectionOptions {
+    scriptUrl?: string;
+    position?: "body" | "head";
+    nonce?: (req: http.IncomingMessage,
+             res: http.ServerResponse) => string | undefined;
+    inline?: boolean;
+  }
+
+  interface RateLimitCounter {
+    count: number;
+    // In milliseconds since the epoch.
+    resetAt: number;
+  }
+
+  // Store of rate limit counters, can be shared between processes.
+  interface RateLimitStore {
+    get(key: string,
+        callback: (err: Error | null,
+                   counter?: RateLimitCounter | null) => void): void;
+    increment(key: string, windowMs: number,
+              callback: (err: Error | null,
+                         counter?: RateLimitCounter) => void): void;
+  }
+
+  interface RateLimitOptions {
+    // Rejections (401, 403) allowed within a window.
+    max?: number;
+    // Rejections allowed for an address, max by default.
+    addressMax?: number;
+    // In milliseconds.
+    window?: number;
+    // Entries of the default in-memory store.
+    maxEntries?: number;
+    store?: RateLimitStore;
+  }
+
+  interface Options {
+    // Address of a wwwhisper service, defaults to WWWHISPER_URL.
+    url?: string;
+    // Pass all requests through, defaults to true if url is not set
+    // and WWWHISPER_DISABLE is set.
+    disabled?: boolean;
+    injectLogoutIframe?: boolean | InjectionOptions;
+    cache?: boolean | CacheOptions;
+    // Timeouts and delays in milliseconds.
+    connectTimeout?: number;
+    responseTimeout?: number;
+    retries?: number;
+    retryDelay?: number;
+    circuitBreaker?: false | CircuitBreakerOptions;
+    agent?: http.Agent | https.AgentOptions;
+    // Reject ambiguous paths with 400.
+    strictPaths?: boolean;
+    // Exact paths, prefixes ending with '/', globs or regexps.
+    publicPaths?: Array<string | RegExp>;
+    trustProxy?: boolean | number | string | string[] |
+      ((address: string, hop: number) => boolean);
+    // Headers set by trusted proxies, "x-forwarded" by default.
+    proxyHeaders?: "x-forwarded" | "forwarded";
+    siteUrl?: string;
+    devUser?: string;
+    // Path to a JSON file or location to allowed emails ("*" for open
+    // locations) mapping.
+    devRules?: string | {[location: string]: string[] | "*"};
+    logger?: Logger;
+    onError?: "next" | ((err: WwwhisperError, req: http.IncomingMessage,
+                        res: http.ServerResponse,
+                        next: connect.NextFunction) => void);
+    // Add Server-Timing header with the duration of the authorization.
+    serverTiming?: boolean;
+    // Respond with 429 to visitors with too many rejected requests.
+    rateLimit?: boolean | RateLimitOptions;
+  }
+
+  class WwwhisperError extends Error {
+    cause?: Error;
+    phase: "auth" | "proxy" | "admin";
+    // Address of wwwhisper without credentials.
+    backendUrl: string;
+    // Not set for admin requests that failed without a response.
+    status: number;
+    headers: {[name: string]: string};
+  }
+
+  // pino or bunyan compatible logger.
+  interface Logger {
+    debug(fields: object, msg: string): void;
+    warn(fields: object, msg: string): void;
+  }
+
+  interface Decision {
+    // Normalized path of the request.
+    path: string;
+    user?: string;
+    status: number;
+    // In milliseconds.
+    latency: number;
+    cached: boolean;
+    // Set for backend errors.
+    error?: Error;
+  }
+
+  type DecisionEvent = "allowed" | "loginRequired" | "denied" |
+    "backendError";
+
+  interface MetricsOptions {
+    // Upper bounds of latency histogram buckets in seconds.
+    buckets?: number[];
+  }
+
+  class Metrics {
+    constructor(options?: MetricsOptions);
+    observe(middleware: Middleware): this;
+    // Metrics in Prometheus text format.
+    toPrometheus(): string;
+    handler(): connect.NextHandleFunction;
+  }
+
+  interface RequestInfo {
+    // Email of the authenticated user.
+    user?: string;
+    // True if wwwhisper allowed the request without identifying the
+    // user.
+    openLocation: boolean;
+    // Headers of the wwwhisper authorization response.
+    headers: http.IncomingHttpHeaders;
+    // Paths checked with canAccess(), true if accessible.
+    access?: {[path: string]: boolean};
+  }
+
+  function requireUser(allowedUsers?: string[]): connect.NextHandleFunction;
+
+  interface Visit {
+    // Cookie header or cookie name to value mapping.
+    cookies?: string | {[name: string]: string};
+    host: string;
+    path: string;
+    // "https" by default.
+    scheme?: "http" | "https";
+  }
+
+  interface CheckResult {
+    status: number;
+    user?: string;
+    allowed: boolean;
+    loginRequired: boolean;
+  }
+
+  interface CanAccessOptions {
+    // Number of paths checked at once, 4 by default.
+    concurrency?: number;
+  }
+
+  interface Diagnosis {
+    // The authorization query sent to wwwhisper.
+    request: {
+      method: string;
+      // Without credentials.
+      url: string;
+      headers: {[name: string]: string};
+    };
+    status: number;
+    headers: http.IncomingHttpHeaders;
+    body: string;
+    // In milliseconds.
+    latency: number;
+  }
+
+  class Client {
+    check(target: http.IncomingMessage | Visit): Promise<CheckResult>;
+    // Sends the query without the cache, retries and circuit breaker.
+    diagnose(target: http.IncomingMessage | Visit): Promise<Diagnosis>;
+    canAccess(req: http.IncomingMessage, paths: string[],
+              options?: CanAccessOptions):
+      Promise<{[path: string]: CheckResult}>;
+    // Closes idle connections to wwwhisper.
+    close(): void;
+  }
+
+  function canAccess(req: http.IncomingMessage, paths: string[],
+                     options?: CanAccessOptions):
+    Promise<{[path: string]: CheckResult}>;
+
+  function client(options?: Options): Client;
+
+  interface AdminOptions extends Options {
+    // Address of the managed site, required.
+    siteUrl: string;
+    // Session of a user allowed to access /wwwhisper/admin/.
+    cookies?: string | {[name: string]: string};
+  }
+
+  interface User {
+    id: string;
+    email: string;
+  }
+
+  interface Location {
+    id: string;
+    path: string;
+    allowedUsers: User[];
+    // Set if the location is open to everyone.
+    openAccess?: object;
+  }
+
+  class AdminClient {
+    locations(): Promise<Location[]>;
+    findLocation(path: string): Promise<Location | null>;
+    addLocation(path: string): Promise<Location>;
+    deleteLocation(location: Location | string): Promise<null>;
+    users(): Promise<User[]>;
+    addUser(email: string): Promise<User>;
+    deleteUser(user: User | string): Promise<null>;
+    grantAccess(location: Location | string,
+                user: User | string): Promise<User>;
+    revokeAccess(location: Location | string,
+                 user: User | string): Promise<null>;
+    setOpenAccess(location: Location | string,
+                  open: boolean): Promise<object | null>;
+    close(): void;
+  }
+
+  function admin(options: AdminOptions): AdminClient;
+
+  interface Server extends http.Server {
+    wwwhisper: Middleware;
+  }
+
+  function createServer(
+    requestListener: (req: http.IncomingMessage,
+                      res: http.ServerResponse) => void): Server;
+  function createServer(
+    options: boolean | Options,
+    requestListener: (req: http.IncomingMessage,
+                      res: http.ServerResponse) => void): Server;
+
+  interface Middleware extends connect.NextHandleFunction {
+    clearCache(): void;
+    // Client that shares the cache with the middleware.
+    client: Client;
+    // Content-Security-Policy hash of the inline script, null if
+    // inline injection is not enabled.
+    logoutScriptHash: string | null;
+    // Makes 'upgrade' events of the server emitted only for
+    // authorized requests.
+    upgradeHandler<T extends http.Server>(server: T): T;
+    on(event: DecisionEvent, listener: (decision: Decision) => void): this;
+    once(event: DecisionEvent, listener: (decision: Decision) => void): this;
+    removeListener(event: DecisionEvent,
+                   listener: (decision: Decision) => void): this;
+  }
 }
 
-export = wwwhisper;
+declare module "http" {
+  interface IncomingMessage {
+    wwwhisper?: wwwhisper.RequestInfo;
+    remoteUser?: string;
+  }
+}
 
+export = wwwhisper;
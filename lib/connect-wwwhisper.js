@@ -15,18 +15,43 @@
  * application.
  */
 
+var crypto = require('crypto');
+var http = require('http');
 var url = require('url');
 var uri = require('urijs');
+var EventEmitter = require('events').EventEmitter;
+var AdminClient = require('./admin').AdminClient;
+var backendUrl = require('./backend-url');
+var decisionCache = require('./decision-cache');
+var CircuitBreaker = require('./circuit-breaker').CircuitBreaker;
+var devMode = require('./dev-mode');
+var WwwhisperError = require('./errors').WwwhisperError;
+var HtmlInjection = require('./html-injection');
+var injector = require('./injector');
+var Metrics = require('./metrics');
+var rateLimit = require('./rate-limit');
+var trustProxy = require('./trust-proxy');
 
-var http = null;
-var wwwhisperURL = null;
 var AUTH_COOKIES_PREFIX = 'wwwhisper';
 
+var DEFAULT_CONNECT_TIMEOUT = 10000;
+var DEFAULT_RESPONSE_TIMEOUT = 30000;
+var DEFAULT_RETRIES = 2;
+var DEFAULT_RETRY_DELAY = 100;
+var DEFAULT_SCRIPT_URL = '/wwwhisper/auth/iframe.js';
+var DEFAULT_AGENT_OPTIONS = {
+  keepAlive: true,
+  maxSockets: 500,
+  // Idle keep-alive connections are closed after this many
+  // milliseconds.
+  timeout: 30000
+};
+
 // Headers that are forwarded to the wwwhisper backend with wwwhisper
 // authorization requests (in addition wwwhisper cookies are
 // forwarded).
 var AUTH_REQUEST_FORWARDED_HEADERS = [
-  'Accept', 'Accept-Language'
+  'Accept', 'Accept-Language', 'X-Request-Id'
 ];
 
 // Headers that are forwarded to the wwwhisper backend with requests
@@ -35,7 +60,13 @@ var AUTH_REQUEST_FORWARDED_HEADERS = [
 var PROXY_REQUEST_FORWARDED_HEADERS = [
   'Accept', 'Accept-Language', 'Accept-Encoding',
   'Origin', 'X-Csrftoken', 'X-Requested-With',
-  'Content-Type', 'Content-Length',
+  'Content-Type', 'Content-Length', 'X-Request-Id'
+];
+// Headers that describe a single connection and are not relayed from
+// wwwhisper responses (RFC 7230, section 6.1).
+var HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
 ];
 var AUTH_COOKIE_REGEXP = new RegExp(AUTH_COOKIES_PREFIX + '-[^;]*(?:;|$)', 'g');
 
@@ -58,12 +89,40 @@ function copyHeaders(req, headers, headersToForward) {
   }
 }
 
-function subRequestOptions(req, method, path, headersToForward) {
-  var headers = {};
-  var scheme;
-  copyHeaders(req, headers, headersToForward);
-  copyAuthCookies(req, headers);
+// Returns an id of the request, taken from X-Request-Id header. If the
+// header is absent, it is set to a new random id, so the id is
+// forwarded to wwwhisper and visible to the application.
+function requestId(req) {
+  if (!req.headers.hasOwnProperty('x-request-id')) {
+    req.headers['x-request-id'] = crypto.randomBytes(16).toString('hex');
+  }
+  return req.headers['x-request-id'];
+}
+
+function noop() {}
+
+var NULL_LOGGER = {debug: noop, info: noop, warn: noop, error: noop};
+
+// Loggers are called like pino or bunyan loggers: with an object with
+// fields of the entry and a message.
+function log(config, level, fields, msg) {
+  if (typeof config.logger[level] === 'function') {
+    config.logger[level](fields, msg);
+  }
+}
 
+// Returns the address of the site as seen by the visitor.
+function siteUrl(config, req) {
+  if (config.siteUrl !== null) {
+    return config.siteUrl;
+  }
+  if (config.trustProxy !== null) {
+    var view = trustProxy.clientView(req, config.trustProxy,
+                                     config.proxyHeaders);
+    return view.scheme + '://' + view.host;
+  }
+  // By default X-Forwarded-Proto is trusted, as set by Heroku router.
+  var scheme;
   if (req.connection.encrypted) {
     scheme = 'https';
   } else if (req.headers.hasOwnProperty('x-forwarded-proto')) {
@@ -71,42 +130,144 @@ function subRequestOptions(req, method, path, headersToForward) {
   } else {
     scheme = 'http';
   }
+  return scheme + '://' + req.headers['host'];
+}
+
+// Tells wwwhisper about the client of a proxied request, like
+// reverse proxies do.
+function addForwardedHeaders(config, req, headers) {
+  var address = req.connection.remoteAddress;
+  var forwardedFor = req.headers['x-forwarded-for'];
+  headers['X-Forwarded-For'] = (forwardedFor !== undefined ?
+                                forwardedFor + ', ' + address : address);
+  var site = url.parse(siteUrl(config, req));
+  headers['X-Forwarded-Proto'] = site.protocol.replace(/:$/, '');
+  headers['X-Forwarded-Host'] = site.host;
+}
+
+// Returns headers of a wwwhisper response without hop-by-hop headers,
+// including headers listed in Connection header. Values of repeated
+// headers (Set-Cookie) are kept as arrays.
+function endToEndHeaders(headers) {
+  var skipped = HOP_BY_HOP_HEADERS;
+  if (headers['connection'] !== undefined) {
+    skipped = skipped.concat(
+      String(headers['connection']).split(',').map(function(name) {
+        return name.trim().toLowerCase();
+      }));
+  }
+  var result = {}, header;
+  for (header in headers) {
+    if (skipped.indexOf(header.toLowerCase()) === -1) {
+      result[header] = headers[header];
+    }
+  }
+  return result;
+}
+
+function subRequestOptions(config, req, method, path, headersToForward) {
+  var headers = {};
+  requestId(req);
+  copyHeaders(req, headers, headersToForward);
+  copyAuthCookies(req, headers);
 
-  headers['Site-Url'] = scheme + '://' + req.headers['host'];
+  headers['Site-Url'] = siteUrl(config, req);
   headers['User-Agent'] = 'node-1.1.1';
 
   return {
-    hostname: wwwhisperURL.hostname,
-    port: wwwhisperURL.port,
+    hostname: config.url.hostname,
+    port: config.url.port,
     path: path,
-    auth: wwwhisperURL.auth,
+    auth: config.url.auth,
+    agent: config.agent,
     headers: headers,
     method: method,
   };
 }
 
-var NO_ENCODING = 'identity';
-
+// Compressed (gzip, deflate, br) HTML documents are decompressed by
+// the injector, and compressed again after the injection.
 function shouldInject(req, res) {
   var contentType = res.getHeader('content-type');
-  var contentEncoding = (res.getHeader('content-encoding') || NO_ENCODING);
   return (contentType !== undefined &&
-          contentEncoding === NO_ENCODING &&
           contentType.indexOf('text/html') !== -1);
 }
 
-function inject(data, req, res, callback) {
-  var newData = data.toString().replace(
-     /(.*)<\/body>/,
-    '$1<script src="/wwwhisper/auth/iframe.js">' +
-      '</script>\n</body>');
-  callback(null, newData);
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Nonce generated for a Content-Security-Policy by helmet or a
+// similar middleware.
+function cspNonceFromLocals(req, res) {
+  return res.locals !== undefined ? res.locals.cspNonce : undefined;
+}
+
+// Inline script that loads the logout iframe script. The content of
+// the script does not change between requests, so the script can be
+// allowed by a Content-Security-Policy hash.
+function inlineLoader(scriptUrl) {
+  return '(function(){var s=document.createElement(\'script\');' +
+    's.src=' + JSON.stringify(scriptUrl).replace(/</g, '\\u003c') + ';' +
+    '(document.body||document.documentElement).appendChild(s);})();';
+}
+
+function logoutScriptMarkup(injection, req, res) {
+  var nonce = injection.nonce(req, res);
+  var nonceAttribute = '';
+  if (nonce) {
+    nonceAttribute = ' nonce="' + escapeAttribute(nonce) + '"';
+  }
+  if (injection.inline) {
+    return ('<script' + nonceAttribute + '>' +
+            inlineLoader(injection.scriptUrl) + '</script>\n');
+  }
+  return ('<script src="' + escapeAttribute(injection.scriptUrl) + '"' +
+          nonceAttribute + '></script>\n');
+}
+
+function logoutScriptHash(injection) {
+  if (injection === null || !injection.inline) {
+    return null;
+  }
+  return '\'sha256-' + crypto.createHash('sha256')
+    .update(inlineLoader(injection.scriptUrl))
+    .digest('base64') + '\'';
 }
 
-var injector = require('connect-injector')(shouldInject, inject);
+// Returns settings of the logout iframe injection, or null if the
+// injection is disabled.
+function injectionConfig(injectLogoutIframe) {
+  if (injectLogoutIframe === false) {
+    return null;
+  }
+  var injection = {
+    scriptUrl: DEFAULT_SCRIPT_URL,
+    position: 'body',
+    nonce: cspNonceFromLocals,
+    inline: false
+  };
+  if (typeof injectLogoutIframe === 'object' && injectLogoutIframe !== null) {
+    for (var option in injection) {
+      if (injectLogoutIframe[option] !== undefined) {
+        injection[option] = injectLogoutIframe[option];
+      }
+    }
+  }
+  return injection;
+}
 
+// The path is normalized, so it contains only characters allowed in
+// a URI path. Characters that have a special meaning in a query
+// string ('&', '+', '=') are escaped. '%' is kept as is, it starts
+// escape sequences of the path, which are decoded by wwwhisper.
 function authQuery(queriedPath) {
-  return '/wwwhisper/auth/api/is-authorized/?path=' + queriedPath;
+  return '/wwwhisper/auth/api/is-authorized/?path=' +
+    queriedPath.replace(/[^\w\-.~!$'()*,;:@\/%]/g, encodeURIComponent);
 }
 
 function chain(req, res, handlers) {
@@ -136,129 +297,1557 @@ function writeHead(res, status, headers) {
   res.writeHead(status);
 }
 
-function reportError(res, msg) {
-  return function() {
-    writeHead(res, 500, {'Content-Type': 'text/plain'});
-    res.write(msg);
-    res.end();
-  };
+// Media types of error responses, in the order of preference when
+// the client accepts several of them equally.
+var ERROR_TYPES = ['text/plain', 'application/json', 'text/html'];
+
+// Returns the quality with which Accept header ranges accept a media
+// type. The most specific matching range decides.
+function acceptQuality(ranges, mediaType) {
+  var quality = 0, specificity = -1;
+  ranges.forEach(function(range) {
+    var rangeSpecificity;
+    if (range.type === mediaType) {
+      rangeSpecificity = 2;
+    } else if (range.type === mediaType.split('/')[0] + '/*') {
+      rangeSpecificity = 1;
+    } else if (range.type === '*/*') {
+      rangeSpecificity = 0;
+    } else {
+      return;
+    }
+    if (rangeSpecificity > specificity) {
+      specificity = rangeSpecificity;
+      quality = range.q;
+    }
+  });
+  return quality;
+}
+
+// Returns a media type of an error response for a request, text/plain
+// unless the client prefers JSON or HTML.
+function errorType(req) {
+  var accept = req.headers['accept'];
+  if (accept === undefined) {
+    return ERROR_TYPES[0];
+  }
+  var ranges = accept.split(',').map(function(item) {
+    var params = item.split(';');
+    var q = 1;
+    params.slice(1).forEach(function(param) {
+      var match = /^\s*q\s*=\s*([0-9.]+)\s*$/i.exec(param);
+      if (match !== null) {
+        q = parseFloat(match[1]);
+      }
+    });
+    return {type: params[0].trim().toLowerCase(), q: q};
+  });
+  var best = ERROR_TYPES[0], bestQuality = 0;
+  ERROR_TYPES.forEach(function(mediaType) {
+    var quality = acceptQuality(ranges, mediaType);
+    if (quality > bestQuality) {
+      best = mediaType;
+      bestQuality = quality;
+    }
+  });
+  return best;
+}
+
+function sendError(req, res, err) {
+  var mediaType = errorType(req);
+  var body = err.message;
+  if (mediaType === 'application/json') {
+    body = JSON.stringify({error: err.message});
+  } else if (mediaType === 'text/html') {
+    var title = err.status + ' ' + http.STATUS_CODES[err.status];
+    body = ('<!DOCTYPE html>\n<html><head><title>' + title +
+            '</title></head><body><h1>' + title + '</h1><p>' +
+            escapeAttribute(err.message) + '</p></body></html>\n');
+  }
+  var headers = {'Content-Type': mediaType}, header;
+  for (header in err.headers) {
+    headers[header] = err.headers[header];
+  }
+  writeHead(res, err.status, headers);
+  res.end(body);
+}
+
+// Reports a failed request to wwwhisper, as configured with the
+// onError option.
+function handleError(config, req, res, next, err) {
+  if (res.headersSent) {
+    // Failure in the middle of a response, the only way to signal
+    // it to the client is to drop the connection.
+    res.destroy();
+  } else if (config.onError === 'next') {
+    next(err);
+  } else if (typeof config.onError === 'function') {
+    config.onError(err, req, res, next);
+  } else {
+    sendError(req, res, err);
+  }
+}
+
+// Wraps an error of a request to wwwhisper made in a given phase
+// ('auth' or 'proxy').
+function backendError(config, phase, cause) {
+  var unavailable = (cause.retryAfter !== undefined);
+  var message = 'wwwhisper unavailable';
+  if (!unavailable) {
+    message = (phase === 'auth' ? 'auth request failed' :
+               'request to wwwhisper failed');
+  }
+  return new WwwhisperError(message, {
+    cause: cause,
+    phase: phase,
+    backendUrl: config.backendUrl,
+    status: unavailable ? 503 : 500,
+    headers: unavailable ? {'Retry-After': String(cause.retryAfter)} : {}
+  });
+}
+
+function unavailableError(breaker) {
+  var err = new Error('wwwhisper unavailable');
+  err.retryAfter = breaker.retryAfter();
+  return err;
+}
+
+// Gateway errors mean that wwwhisper is unreachable, similarly to
+// connection errors.
+function isBackendFailure(statusCode) {
+  return statusCode === 502 || statusCode === 503 || statusCode === 504;
 }
 
-function authorized(req, res, next) {
+function recordResult(breaker, statusCode) {
+  if (isBackendFailure(statusCode)) {
+    breaker.failure();
+  } else {
+    breaker.success();
+  }
+}
+
+// Cached decisions of a visitor are identified by a site and
+// wwwhisper cookies sent with the request.
+function visitorCacheKey(options) {
+  return options.headers['Site-Url'] + '\n' +
+    (options.headers['Cookie'] || '') + '\n';
+}
+
+// Requests that can modify state of wwwhisper (login, logout,
+// changes to the access control lists) make cached decisions stale.
+function invalidateCache(config, req, options) {
+  if (config.cache === null || req.method === 'GET' ||
+      req.method === 'HEAD') {
+    return;
+  }
+  if (req.url.search(/^\/wwwhisper\/auth\//) !== -1) {
+    config.cache.invalidate(visitorCacheKey(options));
+  } else {
+    config.cache.clear();
+  }
+}
+
+function timeoutError(msg) {
+  var err = new Error(msg);
+  err.code = 'ETIMEDOUT';
+  return err;
+}
+
+// Aborts a request to wwwhisper that fails to connect or stays idle
+// for too long. The request emits an error in such case.
+function setTimeouts(config, subReq) {
+  subReq.on('socket', function(socket) {
+    if (!(socket.connecting || socket._connecting)) {
+      // Reused keep-alive connection.
+      return;
+    }
+    var timer = setTimeout(function() {
+      subReq.destroy(timeoutError('wwwhisper connect timeout'));
+    }, config.connectTimeout);
+    socket.once('connect', function() {
+      clearTimeout(timer);
+    });
+    socket.once('close', function() {
+      clearTimeout(timer);
+    });
+  });
+  subReq.setTimeout(config.responseTimeout, function() {
+    subReq.destroy(timeoutError('wwwhisper response timeout'));
+  });
+}
+
+// In dev mode there is no wwwhisper to proxy requests to, only the
+// logout iframe script is replaced with a stub.
+function devModeResource(config, req, res) {
+  if (uri(req.url).path() === DEFAULT_SCRIPT_URL) {
+    writeHead(res, 200, {'Content-Type': 'application/javascript'});
+    res.end(devMode.widgetScript(config.dev));
+  } else {
+    writeHead(res, 404, {'Content-Type': 'text/plain'});
+    res.end('Not available in wwwhisper dev mode');
+  }
+}
+
+function authorized(config, req, res, next) {
   if (req.url.search(/^\/wwwhisper\//) !== -1) {
-    var options = subRequestOptions(req, req.method, req.url,
+    if (config.dev !== null) {
+      devModeResource(config, req, res);
+      return;
+    }
+    if (!config.breaker.allowRequest()) {
+      log(config, 'warn', {path: req.url, requestId: requestId(req)},
+          'wwwhisper unavailable, request not proxied');
+      handleError(config, req, res, next,
+                  backendError(config, 'proxy',
+                               unavailableError(config.breaker)));
+      return;
+    }
+    var options = subRequestOptions(config, req, req.method, req.url,
                                     PROXY_REQUEST_FORWARDED_HEADERS);
-    var subReq = http.request(options, function(subRes) {
-      subRes.setEncoding('utf8');
-      writeHead(res, subRes.statusCode, subRes.headers);
-      subRes.on('data', function(chunk) {
-        res.write(chunk);
-      });
-      subRes.on('end', function() {
-        res.end();
+    addForwardedHeaders(config, req, options.headers);
+    var clientGone = false;
+    var responded = false;
+    var subReq = config.http.request(options, function(subRes) {
+      responded = true;
+      recordResult(config.breaker, subRes.statusCode);
+      invalidateCache(config, req, options);
+      writeHead(res, subRes.statusCode, endToEndHeaders(subRes.headers));
+      // Raw bytes are piped, the client connection backpressure is
+      // propagated to wwwhisper.
+      subRes.pipe(res);
+      subRes.on('error', function() {
+        res.destroy();
       });
     });
+    setTimeouts(config, subReq);
     // Pipe request body to the sub request.
     req.pipe(subReq, {end: true});
-    subReq.on('error', reportError(res, 'request to wwwhisper failed'));
+    res.on('close', function() {
+      if (!res.writableFinished) {
+        // The client disconnected, the response is no longer needed.
+        clientGone = true;
+        subReq.destroy();
+        if (!responded) {
+          config.breaker.release();
+        }
+      }
+    });
+    subReq.on('error', function(err) {
+      if (clientGone) {
+        return;
+      }
+      config.breaker.failure();
+      log(config, 'warn', {
+        err: err,
+        path: req.url,
+        requestId: requestId(req)
+      }, 'request to wwwhisper failed');
+      handleError(config, req, res, next,
+                  backendError(config, 'proxy', err));
+    });
   } else {
     next();
   }
 }
 
-function normalizedUri(url) {
-  return uri(url).normalizePath();
-}
+// Sends an authorization query to wwwhisper and passes the response
+// with a buffered body to the callback. Concurrent queries with
+// identical path and headers (including auth cookies) are coalesced:
+// only one request is sent to wwwhisper and its response is passed
+// to all the waiting callbacks (request ids of the coalesced queries
+// are not taken into account, wwwhisper gets the id of the first
+// query). Queries for different paths are not coalesced, even if
+// the paths belong to the same location: wwwhisper responses do not
+// say which location matched. Failed queries are retried with an
+// exponential backoff. When the circuit breaker is open, the
+// callback gets an error with a retryAfter property.
+function authRequest(config, options, callback) {
+  var keyHeaders = {};
+  var header;
+  for (header in options.headers) {
+    if (header !== 'X-Request-Id') {
+      keyHeaders[header] = options.headers[header];
+    }
+  }
+  var key = options.path + '\n' + JSON.stringify(keyHeaders);
+  var waiting = config.pendingAuthRequests[key];
+  if (waiting !== undefined) {
+    waiting.push(callback);
+    return;
+  }
+  if (!config.breaker.allowRequest()) {
+    callback(unavailableError(config.breaker));
+    return;
+  }
+  waiting = config.pendingAuthRequests[key] = [callback];
 
-function configure() {
-  var urlStr = process.env.WWWHISPER_URL;
-  if  (urlStr === undefined) {
-    if (process.env.WWWHISPER_DISABLE !== undefined) {
-      wwwhisperURL = null;
+  function done(err, authRes) {
+    if (config.pendingAuthRequests[key] !== waiting) {
+      // Already completed (error after a response was received).
       return;
     }
-    throw new Error(
-      'WWWHISPER_URL nor WWWHISPER_DISABLE environment variable set');
+    delete config.pendingAuthRequests[key];
+    if (err) {
+      config.breaker.failure();
+    } else {
+      recordResult(config.breaker, authRes.statusCode);
+    }
+    waiting.forEach(function(waitingCallback) {
+      waitingCallback(err, authRes);
+    });
+  }
+
+  function attempt(attemptNumber) {
+    var failed = false;
+    function retryOrFail(err) {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      if (attemptNumber >= config.retries) {
+        done(err);
+        return;
+      }
+      log(config, 'debug', {
+        err: err,
+        attempt: attemptNumber + 1,
+        requestId: options.headers['X-Request-Id']
+      }, 'wwwhisper auth request failed, retrying');
+      setTimeout(function() {
+        attempt(attemptNumber + 1);
+      }, config.retryDelay * Math.pow(2, attemptNumber));
+    }
+
+    var authReq = config.http.request(options, function(authRes) {
+      var chunks = [];
+      authRes.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      authRes.on('end', function() {
+        if (!failed) {
+          done(null, {
+            statusCode: authRes.statusCode,
+            headers: authRes.headers,
+            body: Buffer.concat(chunks)
+          });
+        }
+      });
+      authRes.on('error', retryOrFail);
+    });
+    setTimeouts(config, authReq);
+    authReq.on('error', retryOrFail);
+    authReq.end();
+  }
+  attempt(0);
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Converts a glob to a regular expression: '**' matches any
+// characters, '*' matches any characters except '/'.
+function globToRegExp(glob) {
+  var parts = glob.split('**').map(function(part) {
+    return part.split('*').map(escapeRegExp).join('[^/]*');
+  });
+  return new RegExp('^' + parts.join('.*') + '$');
+}
+
+// Returns a function that checks if a path matches any of the
+// patterns. A pattern can be a RegExp, a glob (a string with '*'), a
+// path prefix (a string ending with '/') or an exact path.
+function pathMatcher(patterns) {
+  var matchers = (patterns || []).map(function(pattern) {
+    if (pattern instanceof RegExp) {
+      return function(path) {
+        return pattern.test(path);
+      };
+    }
+    if (pattern.indexOf('*') !== -1) {
+      var regExp = globToRegExp(pattern);
+      return function(path) {
+        return regExp.test(path);
+      };
+    }
+    if (pattern.charAt(pattern.length - 1) === '/') {
+      return function(path) {
+        return path.lastIndexOf(pattern, 0) === 0;
+      };
+    }
+    return function(path) {
+      return path === pattern;
+    };
+  });
+  return function(path) {
+    return matchers.some(function(matcher) {
+      return matcher(path);
+    });
+  };
+}
+
+// Escape sequences and characters that make a path ambiguous: encoded
+// slashes and backslashes (treated as separators by some servers but
+// not by others), double encoding and null bytes.
+var AMBIGUOUS_PATH_REGEXP = /%2f|%5c|%25[0-9a-f]{2}|%00|\\|\0/i;
+
+function isAmbiguousPath(path) {
+  if (AMBIGUOUS_PATH_REGEXP.test(path)) {
+    return true;
+  }
+  try {
+    // Fails for invalid and overlong UTF-8 sequences.
+    decodeURIComponent(path);
+  } catch (err) {
+    return true;
+  }
+  return false;
+}
+
+// Returns a normalized URI of a request, or null if the path of the
+// request can not be normalized or, in the strict mode, is ambiguous.
+function normalizedUri(config, reqUrl) {
+  if (config !== null && config.strictPaths) {
+    if (reqUrl.charAt(0) !== '/') {
+      return null;
+    }
+    var queryStart = reqUrl.indexOf('?');
+    var path = queryStart === -1 ? reqUrl : reqUrl.slice(0, queryStart);
+    if (isAmbiguousPath(path)) {
+      return null;
+    }
+    // Empty segments are dropped, so a path can not start with '//',
+    // which would be taken for an authority.
+    reqUrl = path.replace(/\/{2,}/g, '/') + reqUrl.slice(path.length);
+  }
+  try {
+    return uri(reqUrl).normalizePath();
+  } catch (err) {
+    // Malformed escape sequences.
+    return null;
+  }
+}
+
+function rejectPath(config, req, res) {
+  log(config, 'debug', {path: req.url, requestId: requestId(req)},
+      'request path rejected');
+  writeHead(res, 400, {'Content-Type': 'text/plain'});
+  res.end('Invalid request path');
+}
+
+// Returns an agent that keeps connections to wwwhisper alive. The
+// agentOptions can be an already created agent or options for a new
+// one, such as maxSockets, timeout or TLS options (ca, cert, key).
+function createAgent(transport, agentOptions) {
+  if (agentOptions instanceof transport.Agent) {
+    return agentOptions;
+  }
+  var merged = {}, option;
+  for (option in DEFAULT_AGENT_OPTIONS) {
+    merged[option] = DEFAULT_AGENT_OPTIONS[option];
+  }
+  for (option in agentOptions) {
+    merged[option] = agentOptions[option];
+  }
+  return new transport.Agent(merged);
+}
+
+function numberOption(value, defaultValue) {
+  return value === undefined ? defaultValue : value;
+}
+
+function warnPlainHttp(config, options) {
+  var msg = ('wwwhisper url uses plain HTTP, credentials and visitor ' +
+             'cookies are sent unencrypted');
+  if (options.logger) {
+    log(config, 'warn', {backendUrl: config.backendUrl}, msg);
+  } else {
+    process.emitWarning(msg + ' (' + config.backendUrl + ')',
+                        'WwwhisperWarning');
+  }
+}
+
+// Without trustProxy, visitors behind a proxy all have the address
+// of the proxy and share a single rate limit.
+function warnRateLimitWithoutTrustProxy(config, options) {
+  var msg = ('wwwhisper rate limit enabled without trustProxy option, ' +
+             'visitors are limited by the address of the direct peer');
+  if (options.logger) {
+    log(config, 'warn', {}, msg);
+  } else {
+    process.emitWarning(msg, 'WwwhisperWarning');
+  }
+}
+
+// Returns configuration of a single middleware instance, or null if
+// wwwhisper is disabled. Options passed explicitly take precedence
+// over environment variables.
+function configure(options) {
+  var urlStr = options.url;
+  if (urlStr === undefined) {
+    urlStr = backendUrl.fromEnvironment(process.env);
+  }
+  var devUser = options.devUser;
+  if (devUser === undefined) {
+    devUser = process.env.WWWHISPER_DEV_USER;
+  }
+  var devRules = options.devRules;
+  if (devRules === undefined) {
+    devRules = process.env.WWWHISPER_DEV_RULES;
+  }
+  var dev = null;
+  if (options.disabled) {
+    return null;
+  }
+  if (devUser !== undefined || devRules !== undefined) {
+    if (urlStr !== undefined) {
+      // A stray dev mode variable must not let all requests through
+      // on a site protected by wwwhisper.
+      throw new Error('wwwhisper dev mode can not be enabled when ' +
+                      'wwwhisper url is configured');
+    }
+    dev = devMode.devMode(devUser, devRules);
+  } else if (urlStr === undefined && options.disabled === undefined &&
+             process.env.WWWHISPER_DISABLE !== undefined) {
+    return null;
+  } else if (urlStr === undefined) {
+    throw new Error('Neither url option nor WWWHISPER_URL nor ' +
+                    'WWWHISPER_DISABLE environment variable set');
+  }
+  var config = {
+    url: dev === null ? backendUrl.parse(urlStr) : null,
+    dev: dev,
+    injection: injectionConfig(options.injectLogoutIframe),
+    injector: null,
+    cache: null,
+    rateLimiter: null,
+    pendingAuthRequests: Object.create(null),
+    publicPathMatcher: pathMatcher(options.publicPaths),
+    trustProxy: (options.trustProxy !== undefined ?
+                 trustProxy.compileTrust(options.trustProxy) : null),
+    proxyHeaders: options.proxyHeaders || 'x-forwarded',
+    siteUrl: (options.siteUrl !== undefined ?
+              options.siteUrl.replace(/\/+$/, '') : null),
+    connectTimeout: numberOption(options.connectTimeout,
+                                 DEFAULT_CONNECT_TIMEOUT),
+    responseTimeout: numberOption(options.responseTimeout,
+                                  DEFAULT_RESPONSE_TIMEOUT),
+    retries: numberOption(options.retries, DEFAULT_RETRIES),
+    retryDelay: numberOption(options.retryDelay, DEFAULT_RETRY_DELAY),
+    serverTiming: options.serverTiming === true,
+    strictPaths: options.strictPaths === true,
+    logger: options.logger || NULL_LOGGER,
+    onError: options.onError,
+    // Set by wwwhisper() to the middleware that emits decision events.
+    events: null
+  };
+  if (trustProxy.PROXY_HEADERS.indexOf(config.proxyHeaders) === -1) {
+    throw new Error('Invalid proxyHeaders option: ' + config.proxyHeaders);
+  }
+  if (options.circuitBreaker === false) {
+    config.breaker = new CircuitBreaker({threshold: Infinity});
+  } else {
+    config.breaker = new CircuitBreaker(options.circuitBreaker);
+  }
+  if (options.cache) {
+    config.cache = new decisionCache.DecisionCache(
+      options.cache === true ? {} : options.cache);
+  }
+  if (options.rateLimit) {
+    config.rateLimiter = new rateLimit.RateLimiter(
+      options.rateLimit === true ? {} : options.rateLimit);
+    if (options.trustProxy === undefined) {
+      warnRateLimitWithoutTrustProxy(config, options);
+    }
   }
-  wwwhisperURL = url.parse(urlStr);
-  if (wwwhisperURL.protocol === 'http:') {
-    http = require('http');
+  if (config.url === null) {
+    config.backendUrl = null;
+    config.http = null;
+    config.agent = null;
+    config.ownsAgent = false;
   } else {
-    http = require('https');
+    // Credentials are not included, so the address can be logged.
+    config.backendUrl = url.format({
+      protocol: config.url.protocol,
+      host: config.url.host,
+      pathname: config.url.pathname
+    });
+    if (config.url.protocol === 'http:' &&
+        !backendUrl.isLoopback(config.url.hostname)) {
+      warnPlainHttp(config, options);
+    }
+    config.http = require(config.url.protocol === 'http:' ? 'http' : 'https');
+    config.agent = createAgent(config.http, options.agent);
+    // Agents passed by the application are not destroyed by close().
+    config.ownsAgent = config.agent !== options.agent;
+  }
+  if (config.injection !== null) {
+    config.injector = injector(shouldInject, function(req, res) {
+      return new HtmlInjection(logoutScriptMarkup(config.injection, req, res),
+                               config.injection.position);
+    });
   }
-  http.globalAgent.maxSockets = 500;
+  return config;
+}
+
+// Ambiguous paths are never public, also outside the strict mode:
+// '/static/..%2fadmin' matches a '/static/' prefix, but an
+// application that decodes %2F can serve '/admin' for it.
+function isPublicPath(config, path) {
+  return (path.search(/^\/wwwhisper\//) === -1 &&
+          !isAmbiguousPath(path) &&
+          config.publicPathMatcher(path));
+}
+
+function anonymousInfo() {
+  return {
+    user: undefined,
+    openLocation: true,
+    headers: {}
+  };
+}
 
+function requestInfo(authHeaders) {
+  var user = authHeaders['user'];
+  return {
+    user: user,
+    openLocation: user === undefined,
+    headers: authHeaders
+  };
+}
+
+// Checks if a request to a given (normalized) path is allowed, calls
+// back with an error or a wwwhisper response. Positive decisions can
+// come from the cache.
+function queryDecision(config, req, path, callback) {
+  if (config.dev !== null) {
+    callback(null, devMode.decide(config.dev, path));
+    return;
+  }
+  var options = subRequestOptions(config, req, 'GET', authQuery(path),
+                                  AUTH_REQUEST_FORWARDED_HEADERS);
+  var cacheKey = visitorCacheKey(options) + path;
+  if (config.cache !== null) {
+    var headers = config.cache.get(cacheKey);
+    if (headers !== undefined) {
+      callback(null, {statusCode: 200, headers: headers, body: null,
+                      cached: true});
+      return;
+    }
+  }
+  authRequest(config, options, function(err, authRes) {
+    if (!err && authRes.statusCode === 200 && config.cache !== null) {
+      config.cache.set(cacheKey, authRes.headers,
+                       decisionCache.maxAgeFromCacheControl(
+                         authRes.headers['cache-control']));
+    }
+    callback(err, authRes);
+  });
+}
+
+// Milliseconds elapsed since a given process.hrtime().
+function elapsed(start) {
+  var diff = process.hrtime(start);
+  return diff[0] * 1e3 + diff[1] / 1e6;
+}
+
+function decisionEvent(statusCode) {
+  if (statusCode === 200) {
+    return 'allowed';
+  }
+  return statusCode === 401 ? 'loginRequired' : 'denied';
+}
+
+function emitDecision(config, event, decision) {
+  if (config.events !== null) {
+    config.events.emit(event, decision);
+  }
+}
+
+// Like queryDecision, but also logs and emits a decision event and calls back
+// with a latency of the decision (in milliseconds) as a third
+// argument.
+function timedDecision(config, req, path, callback) {
+  var start = process.hrtime();
+  queryDecision(config, req, path, function(err, authRes) {
+    var latency = elapsed(start);
+    var event = {path: path, latency: latency, cached: false};
+    var fields = {path: path, latency: latency, requestId: requestId(req)};
+    if (err) {
+      event.status = err.retryAfter !== undefined ? 503 : 500;
+      event.error = err;
+      fields.err = err;
+      log(config, 'warn', fields, err.retryAfter !== undefined ?
+          'wwwhisper unavailable, request rejected' :
+          'wwwhisper auth request failed');
+      emitDecision(config, 'backendError', event);
+    } else {
+      event.status = authRes.statusCode;
+      event.user = authRes.headers['user'];
+      event.cached = authRes.cached === true;
+      fields.status = event.status;
+      fields.user = event.user;
+      fields.cached = event.cached;
+      log(config, 'debug', fields, 'wwwhisper decision');
+      emitDecision(config, decisionEvent(authRes.statusCode), event);
+    }
+    callback(err, authRes, latency);
+  });
+}
+
+// Cookies are given as a Cookie header or as an object that maps
+// names to values.
+function cookieHeader(cookies) {
+  if (cookies !== null && typeof cookies === 'object') {
+    return Object.keys(cookies).map(function(name) {
+      return name + '=' + cookies[name];
+    }).join('; ');
+  }
+  return cookies;
+}
+
+// Returns a request-like object that describes a visit of a path by a
+// visitor with given cookies.
+function visitRequest(visit) {
+  var headers = {host: visit.host};
+  var cookies = cookieHeader(visit.cookies);
+  if (cookies) {
+    headers['cookie'] = cookies;
+  }
+  return {
+    headers: headers,
+    url: visit.path,
+    connection: {encrypted: (visit.scheme || 'https') === 'https'}
+  };
+}
+
+// Requests are passed as they are, visits are converted to requests.
+function targetRequest(target) {
+  return (target.headers !== undefined && target.url !== undefined ?
+          target : visitRequest(target));
+}
+
+function checkResult(statusCode, user) {
+  return {
+    status: statusCode,
+    user: user,
+    allowed: statusCode === 200,
+    loginRequired: statusCode === 401
+  };
+}
+
+/**
+ * Checks with wwwhisper if visitors can access paths. config is null
+ * if wwwhisper is disabled, then all visits are allowed.
+ */
+function Client(config) {
+  this.config = config;
+}
+
+/**
+ * Checks if a request, or a visit described by an object with
+ * cookies (a Cookie header or an object that maps names to values),
+ * host, path and optional scheme ('https' by default), is allowed.
+ * Returns a promise of an object with:
+ *  status: the status of the wwwhisper response (200, 401, 403).
+ *  user: an email of the user, if returned by wwwhisper.
+ *  allowed: true if the visit is allowed.
+ *  loginRequired: true if the visitor needs to log in.
+ * The promise is rejected with a WwwhisperError if wwwhisper fails.
+ * Public paths are allowed without querying wwwhisper.
+ */
+Client.prototype.check = function(target) {
+  var self = this;
+  var req = targetRequest(target);
+  var normalized = normalizedUri(self.config, req.url);
+  return new Promise(function(resolve, reject) {
+    if (normalized === null) {
+      resolve(checkResult(400, undefined));
+      return;
+    }
+    var path = normalized.path();
+    if (self.config === null || isPublicPath(self.config, path)) {
+      resolve(checkResult(200, undefined));
+      return;
+    }
+    self.decide(req, path, function(err, authRes) {
+      if (err) {
+        reject(backendError(self.config, 'auth', err));
+      } else {
+        resolve(checkResult(authRes.statusCode, authRes.headers['user']));
+      }
+    });
+  });
+};
+
+/**
+ * Checks which of the paths the visitor that made a request can
+ * access. Returns a promise of an object that maps each path to a
+ * result of check(). At most options.concurrency (4 by default)
+ * paths are checked at once. Decisions are cached if the cache is
+ * enabled. The promise is rejected if wwwhisper fails.
+ *
+ * If req.wwwhisper is set, req.wwwhisper.access is updated to map
+ * each checked path to true or false, for use in templates.
+ */
+Client.prototype.canAccess = function(req, paths, options) {
+  var self = this;
+  var concurrency = (options && options.concurrency) || 4;
+  var unique = paths.filter(function(path, idx) {
+    return paths.indexOf(path) === idx;
+  });
+  var results = {};
+  var next = 0;
+
+  // Checks paths one by one until all are checked.
+  function worker() {
+    if (next === unique.length) {
+      return Promise.resolve();
+    }
+    var path = unique[next];
+    next += 1;
+    // The same visitor, a different path.
+    var visit = {
+      headers: req.headers,
+      url: path,
+      connection: req.connection
+    };
+    return self.check(visit).then(function(result) {
+      results[path] = result;
+      return worker();
+    });
+  }
+
+  var workers = [];
+  while (workers.length < Math.min(concurrency, unique.length)) {
+    workers.push(worker());
+  }
+  return Promise.all(workers).then(function() {
+    if (req.wwwhisper !== undefined) {
+      req.wwwhisper.access = req.wwwhisper.access || {};
+      unique.forEach(function(path) {
+        req.wwwhisper.access[path] = results[path].allowed;
+      });
+    }
+    return results;
+  });
+};
+
+// Checks if a request to a given (normalized) path is allowed, calls
+// back with an error or a wwwhisper response and a latency of the
+// decision (in milliseconds). Used by check() and by the middleware.
+Client.prototype.decide = function(req, path, callback) {
+  timedDecision(this.config, req, path, callback);
+};
+
+/**
+ * Sends an authorization query about a request or a visit (like
+ * check()) to wwwhisper, for diagnostics. The query is the same as
+ * queries of the middleware, but it bypasses the cache, retries and
+ * the circuit breaker. Returns a promise of an object with:
+ *  request: method, url (without credentials) and headers of the
+ *  query.
+ *  status, headers, body: the wwwhisper response.
+ *  latency: the duration of the query in milliseconds.
+ * The promise is rejected with a WwwhisperError if the query fails.
+ */
+Client.prototype.diagnose = function(target) {
+  var config = this.config;
+  var req = targetRequest(target);
+  return new Promise(function(resolve, reject) {
+    if (config === null || config.dev !== null) {
+      reject(new Error('wwwhisper is disabled or in dev mode'));
+      return;
+    }
+    var normalized = normalizedUri(config, req.url);
+    if (normalized === null) {
+      reject(new Error('Invalid request path'));
+      return;
+    }
+    var options = subRequestOptions(config, req, 'GET',
+                                    authQuery(normalized.path()),
+                                    AUTH_REQUEST_FORWARDED_HEADERS);
+    var start = process.hrtime();
+    var authReq = config.http.request(options, function(authRes) {
+      var chunks = [];
+      authRes.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      authRes.on('end', function() {
+        resolve({
+          request: {
+            method: options.method,
+            url: url.resolve(config.backendUrl, options.path),
+            headers: options.headers
+          },
+          status: authRes.statusCode,
+          headers: authRes.headers,
+          body: Buffer.concat(chunks).toString(),
+          latency: elapsed(start)
+        });
+      });
+      authRes.on('error', function(err) {
+        reject(backendError(config, 'auth', err));
+      });
+    });
+    setTimeouts(config, authReq);
+    authReq.on('error', function(err) {
+      reject(backendError(config, 'auth', err));
+    });
+    authReq.end();
+  });
+};
+
+/**
+ * Closes idle connections to wwwhisper kept alive by the agent of the
+ * client, so scripts and tests can exit without waiting for the
+ * connections to time out. An agent passed with the agent option is
+ * left to the application. Further queries open new connections.
+ */
+Client.prototype.close = function() {
+  if (this.config !== null && this.config.ownsAgent) {
+    this.config.agent.destroy();
+  }
+};
+
+// Keys that identify a visitor for rate limiting: the address of the
+// client (taken from headers of trusted proxies) and wwwhisper
+// cookies. The address is always used, so made-up cookies do not
+// bypass the limit. Cookies are hashed, so stores do not keep them.
+function rateLimitKeys(config, req) {
+  var address = (config.trustProxy !== null ?
+                 trustProxy.clientView(req, config.trustProxy,
+                                       config.proxyHeaders).address :
+                 req.connection.remoteAddress);
+  var keys = [rateLimit.ADDRESS_KEY_PREFIX + address];
+  var headers = {};
+  copyAuthCookies(req, headers);
+  if (headers['Cookie'] !== undefined) {
+    keys.push('cookie:' + crypto.createHash('sha256')
+              .update(headers['Cookie']).digest('hex'));
+  }
+  return keys;
+}
+
+function rateLimitedResponse(retryAfter) {
+  return {
+    statusCode: 429,
+    headers: {
+      'Content-Type': 'text/plain',
+      'Retry-After': String(retryAfter)
+    },
+    body: 'Too many rejected requests'
+  };
+}
+
+// Like client.decide(), but visitors with too many rejected requests
+// get a 429 response without querying wwwhisper. If the store of the
+// rate limiter fails, requests are not limited.
+function limitedDecision(client, req, path, callback) {
+  var config = client.config;
+  var limiter = config.rateLimiter;
+  if (limiter === null) {
+    client.decide(req, path, callback);
+    return;
+  }
+  var keys = rateLimitKeys(config, req);
+
+  function storeFailed(err) {
+    log(config, 'warn', {err: err, requestId: requestId(req)},
+        'wwwhisper rate limit store failed');
+  }
+
+  limiter.check(keys, function(err, retryAfter) {
+    if (err) {
+      storeFailed(err);
+    } else if (retryAfter > 0) {
+      log(config, 'debug', {path: path, retryAfter: retryAfter,
+                            requestId: requestId(req)},
+          'wwwhisper request rate limited');
+      callback(null, rateLimitedResponse(retryAfter), 0);
+      return;
+    }
+    client.decide(req, path, function(err, authRes, latency) {
+      if (!err && (authRes.statusCode === 401 ||
+                   authRes.statusCode === 403)) {
+        limiter.recordRejection(keys, function(err) {
+          if (err) {
+            storeFailed(err);
+          }
+        });
+      }
+      callback(err, authRes, latency);
+    });
+  });
+}
+
+// Makes the client that allowed a request available to
+// wwwhisper.canAccess() (as a non-enumerable property of
+// req.wwwhisper).
+function withClient(info, client) {
+  Object.defineProperty(info, 'client', {value: client});
+  return info;
+}
+
+function authorizer(client) {
+  var config = client.config;
+  function proxy(req, res, next) {
+    authorized(config, req, res, next);
+  }
+
+  return function isAuthorized(req, res, next) {
+    // A reason why node <= 0.8.* is not supported is that starting from
+    // node 0.10, req is a readable stream that does not emit data until
+    // a reader is ready. With node 0.8 req emits 'data' events
+    // immediately (req.readable becomes false).
+    var uri = normalizedUri(config, req.url);
+    if (uri === null) {
+      rejectPath(config, req, res);
+      return;
+    }
+    req.url = uri.toString();
+    if (req.url.search(/^\/wwwhisper\/auth\//) !== -1) {
+      proxy(req, res, next);
+      return;
+    }
+    if (isPublicPath(config, uri.path())) {
+      req.wwwhisper = withClient(anonymousInfo(), client);
+      next();
+      return;
+    }
+
+    limitedDecision(client, req, uri.path(), function(err, authRes, latency) {
+      if (config.serverTiming) {
+        res.setHeader('Server-Timing',
+                      'wwwhisper;dur=' + latency.toFixed(1) +
+                      (authRes && authRes.cached ? ';desc="cached"' : ''));
+      }
+      if (err) {
+        handleError(config, req, res, next, backendError(config, 'auth', err));
+      } else if (authRes.statusCode === 200) {
+        req.wwwhisper = withClient(requestInfo(authRes.headers), client);
+        var user = req.wwwhisper.user;
+        if (user !== undefined) {
+          req.remoteUser =  user;
+          res.setHeader('User', user);
+        }
+        var callChain = config.injector !== null ?
+          [config.injector, proxy, next] : [proxy, next];
+        chain(req, res, callChain);
+      } else {
+        writeHead(res, authRes.statusCode, endToEndHeaders(authRes.headers));
+        res.end(authRes.body);
+      }
+    });
+  };
+}
+
+// Responds to an upgrade request with a regular HTTP response and
+// closes the connection.
+function rejectUpgrade(socket, statusCode, headers, body) {
+  var lines = [
+    'HTTP/1.1 ' + statusCode + ' ' + (http.STATUS_CODES[statusCode] || '')
+  ];
+  headers = endToEndHeaders(headers);
+  Object.keys(headers).forEach(function(header) {
+    if (header.toLowerCase() !== 'content-length') {
+      [].concat(headers[header]).forEach(function(value) {
+        lines.push(header + ': ' + value);
+      });
+    }
+  });
+  body = Buffer.from(body || '');
+  lines.push('Content-Length: ' + body.length);
+  lines.push('Connection: close');
+  socket.write(lines.join('\r\n') + '\r\n\r\n');
+  socket.end(body);
+}
+
+// Returns a function that makes 'upgrade' events of a server emitted
+// only for authorized requests.
+function upgradeAuthorizer(client) {
+  var config = client.config;
+  function ignoreError() {}
+
+  return function upgradeHandler(server) {
+    var emit = server.emit;
+    server.emit = function(event, req, socket) {
+      if (event !== 'upgrade') {
+        return emit.apply(this, arguments);
+      }
+      var self = this, args = arguments;
+
+      function allow(info) {
+        socket.removeListener('error', ignoreError);
+        req.wwwhisper = withClient(info, client);
+        if (info.user !== undefined) {
+          req.remoteUser = info.user;
+        }
+        emit.apply(self, args);
+      }
+
+      var uri = normalizedUri(config, req.url);
+      if (uri === null) {
+        rejectUpgrade(socket, 400, {'Content-Type': 'text/plain'},
+                      'Invalid request path');
+        return true;
+      }
+      req.url = uri.toString();
+      if (isPublicPath(config, uri.path())) {
+        allow(anonymousInfo());
+        return true;
+      }
+      // The client can disconnect while the request is authorized.
+      socket.on('error', ignoreError);
+      limitedDecision(client, req, uri.path(), function(err, authRes) {
+        if (err && err.retryAfter !== undefined) {
+          rejectUpgrade(socket, 503, {
+            'Content-Type': 'text/plain',
+            'Retry-After': String(err.retryAfter)
+          }, 'wwwhisper unavailable');
+        } else if (err) {
+          rejectUpgrade(socket, 500, {'Content-Type': 'text/plain'},
+                        'auth request failed');
+        } else if (authRes.statusCode === 200) {
+          allow(requestInfo(authRes.headers));
+        } else {
+          rejectUpgrade(socket, authRes.statusCode, authRes.headers,
+                        authRes.body);
+        }
+      });
+      return true;
+    };
+    return server;
+  };
 }
 
 /**
  * Initializes wwwhisper middleware.
  *
- * Deployment specific options are configure via environment variables:
+ * Accepts an optional options object:
+ *
+ *  url: an address of a wwwhisper service (including basic auth
+ *  credentials). Defaults to WWWHISPER_URL environment variable, or
+ *  to the content of a file pointed by WWWHISPER_URL_FILE (such as a
+ *  Docker or Kubernetes secret). Credentials of an address from the
+ *  environment can be given separately with WWWHISPER_USERNAME and
+ *  WWWHISPER_PASSWORD (or WWWHISPER_PASSWORD_FILE). The address is
+ *  validated when the middleware is created, invalid addresses are
+ *  rejected with errors that do not include the password. A warning
+ *  is emitted (or logged with the logger) if the address uses plain
+ *  HTTP and is not local.
+ *  disabled: if true, the middleware passes all requests through,
+ *  useful for a local development environment. Defaults to true if
+ *  url is not given and WWWHISPER_DISABLE environment variable is set.
+ *  injectLogoutIframe: allows to disable injection of a wwwhisper
+ *  iframe into HTML documents. The iframe contains a current user
+ *  email and a logout button. Defaults to true. Can also be an object
+ *  that configures the injection:
+ *    scriptUrl: URL of the injected script, by default
+ *    '/wwwhisper/auth/iframe.js'.
+ *    position: 'body' to inject the script before the last </body>
+ *    tag (the default) or 'head' to inject it before the first
+ *    </head> tag. If the tag is not found, the script is appended to
+ *    the document.
+ *    nonce: function(req, res) that returns a Content-Security-Policy
+ *    nonce for the script. By default res.locals.cspNonce is used if
+ *    present.
+ *    inline: if true, an inline script that loads the script is
+ *    injected. The inline script is the same for all documents, so it
+ *    can be allowed by a Content-Security-Policy hash, available as a
+ *    logoutScriptHash property of the middleware.
+ *  cache: enables caching of positive authorization decisions. Can
+ *  be true or an object with maxAge (in milliseconds, 5000 by
+ *  default) and maxEntries (1000 by default). Cache-Control returned
+ *  by wwwhisper can shorten maxAge or disable caching of a decision.
+ *  Decisions of a visitor are dropped when the visitor logs in or out,
+ *  all decisions are dropped when access control lists are modified
+ *  via the wwwhisper admin. Negative decisions are never cached.
+ *  connectTimeout: for how long (in milliseconds) to wait for a
+ *  connection to wwwhisper to be established, 10000 by default.
+ *  responseTimeout: for how long (in milliseconds) a connection to
+ *  wwwhisper can stay idle while waiting for a response, 30000 by
+ *  default. A request that times out results in the same error
+ *  response as a request that fails to connect.
+ *  retries: how many times a failed authorization query is retried,
+ *  2 by default. Requests proxied to wwwhisper are never retried.
+ *  retryDelay: a delay (in milliseconds) before the first retry,
+ *  doubled with each subsequent retry, 100 by default.
+ *  circuitBreaker: after threshold (5 by default) consecutive failed
+ *  requests to wwwhisper, requests are no longer sent to wwwhisper
+ *  and are rejected with 503 and Retry-After header. After
+ *  resetTimeout (in milliseconds, 10000 by default) a single request
+ *  is let through to probe if wwwhisper recovered. Can be an object
+ *  with threshold and resetTimeout or false to disable.
+ *  agent: an http.Agent (or https.Agent) to use for requests to
+ *  wwwhisper, or options for a keep-alive agent created by the
+ *  middleware. The options default to 500 maxSockets and 30000
+ *  milliseconds timeout of idle connections. TLS options, such as a
+ *  custom ca for a self-hosted wwwhisper, can be passed here too. The
+ *  global agent is never used nor modified. The agent created by the
+ *  middleware is destroyed by middleware.client.close().
+ *  strictPaths: if true, requests with paths that the application
+ *  and wwwhisper could interpret differently are rejected with 400:
+ *  paths with encoded slashes or backslashes (%2F, %5C), double
+ *  encoding (such as %252F), backslashes, null bytes, or invalid or
+ *  overlong UTF-8 sequences, and paths that do not start with '/'.
+ *  Repeated slashes are collapsed. Paths with malformed escape
+ *  sequences are rejected regardless of this option.
+ *  publicPaths: a list of paths that are accessible to everyone
+ *  without querying wwwhisper, for example health checks or static
+ *  assets. A path can be given as a RegExp, a glob ('*' matches any
+ *  characters except '/', '**' matches any characters), a prefix
+ *  (a string ending with '/') or an exact path. Paths are matched
+ *  after normalization. Paths starting with /wwwhisper/ and
+ *  ambiguous paths (see strictPaths) are never public, wwwhisper
+ *  decides about them. The logout iframe is not injected into public
+ *  documents.
+ *  trustProxy: which proxies are trusted to set a scheme, a host and
+ *  a client address with headers selected by proxyHeaders. Can be
+ *  true or false (trust all or none), a number of trusted hops, an
+ *  array (or a comma separated string) of trusted addresses and
+ *  subnets in CIDR notation ('10.0.0.0/8'), or a function(address,
+ *  hop). Proxies are checked starting from the direct peer of the
+ *  server, with addresses of further proxies taken from
+ *  X-Forwarded-For (or Forwarded for=). If not set,
+ *  X-Forwarded-Proto is trusted regardless of who set it and the host
+ *  is always taken from Host header.
+ *  proxyHeaders: which headers trusted proxies set, 'x-forwarded'
+ *  (X-Forwarded-For, X-Forwarded-Proto and X-Forwarded-Host, the
+ *  default) or 'forwarded' (RFC 7239 Forwarded header). Headers of
+ *  the other kind are ignored, because they can be set by clients.
+ *  siteUrl: a fixed address of the site (such as
+ *  'https://example.com') to pass to wwwhisper, instead of the one
+ *  derived from the request.
+ *  devUser: enables a dev mode for a local development environment,
+ *  in which wwwhisper is not contacted and all requests are made on
+ *  behalf of a user with a given email. Defaults to WWWHISPER_DEV_USER
+ *  environment variable. Takes precedence over WWWHISPER_DISABLE.
+ *  Dev mode can not be enabled if a wwwhisper url is configured (with
+ *  url option, WWWHISPER_URL or WWWHISPER_URL_FILE), the middleware
+ *  throws an error then.
+ *  devRules: in dev mode, a path to a JSON file (or an object) that
+ *  maps locations to lists of allowed emails, or to "*" for locations
+ *  open to everyone, for example {"/": "*", "/admin/": ["a@x.com"]}.
+ *  Requests are then rejected with 401 or 403 like wwwhisper would do.
+ *  Without rules all requests are allowed. Defaults to
+ *  WWWHISPER_DEV_RULES environment variable. Setting rules without a
+ *  user enables dev mode for an anonymous visitor. In dev mode the
+ *  injected logout iframe script ('/wwwhisper/auth/iframe.js') is
+ *  replaced with a stub that shows the impersonated user.
+ *  logger: a logger for decisions (logged at debug level) and
+ *  failures of requests to wwwhisper (warn level). Logger methods are
+ *  called like methods of pino or bunyan loggers: with an object with
+ *  fields of the entry (including requestId) and a message, other
+ *  loggers (such as winston) need to be wrapped. Nothing is logged by
+ *  default.
+ *  onError: how failed requests to wwwhisper are reported. By default
+ *  the middleware responds with 500 (or 503 with Retry-After if
+ *  wwwhisper is unavailable) with a plain text, JSON or HTML body,
+ *  depending on the Accept header of the request. If 'next', the
+ *  error is passed to next(err), so it can be handled by error
+ *  handling middleware. If a function(err, req, res, next), the
+ *  function is called to handle the error. The error is a
+ *  wwwhisper.WwwhisperError with:
+ *    cause: the underlying error.
+ *    phase: 'auth' for authorization queries, 'proxy' for requests
+ *    proxied to wwwhisper (/wwwhisper/ paths).
+ *    backendUrl: the address of wwwhisper without credentials.
+ *    status: the status of the default error response.
+ *    headers: headers of the default error response.
+ *  serverTiming: if true, a Server-Timing header with the duration of
+ *  the authorization (such as 'wwwhisper;dur=12.5') is added to
+ *  responses. Decisions taken from the cache are described as
+ *  'cached'.
+ *  rateLimit: limits visitors whose requests are rejected by
+ *  wwwhisper (with 401 or 403). After max rejections within a window,
+ *  further requests of the visitor are rejected with 429 and
+ *  Retry-After header, without querying wwwhisper, until the window
+ *  ends. Visitors are identified both by an address (taken from
+ *  headers of proxies trusted with the trustProxy option) and by
+ *  wwwhisper cookies, a visitor is limited if either is over the
+ *  limit. If trustProxy is not set, a warning is emitted: behind a
+ *  proxy all visitors would share a single address, set trustProxy to
+ *  false if the server is not behind a proxy. Can be true or an
+ *  object with max (20 by default), addressMax (a limit for
+ *  addresses, which can be shared by several users, max by default),
+ *  window (in milliseconds, 60000 by default), maxEntries (10000 by
+ *  default) and store. By default counters are kept in
+ *  memory of the process, store allows to share them between
+ *  processes, for example with Redis. A store is an object with
+ *  methods:
+ *    get(key, callback): calls back with an error or with an object
+ *    {count, resetAt} (resetAt in milliseconds since the epoch), or
+ *    null if the key has no active counter.
+ *    increment(key, windowMs, callback): increments a counter of the
+ *    key, starting a new counter that expires after windowMs
+ *    milliseconds if the key has no active counter, and calls back
+ *    with an error or with the counter.
+ *  If the store fails, requests are not limited.
  *
- *  WWWHISPER_URL: an address of a wwwhisper service (including basic
- *  auth credentials).
- *  WWWHISPER_DISABLE: useful for a local development environment.
+ * For backward compatibility, a boolean injectLogoutIframe can be
+ * passed instead of the options object.
  *
- * An optional injectLogoutIframe param allows to disable injection
- * of a wwwhisper iframe into HTML documents. The iframe contains a
- * current user email and a logout button. If injectLogoutIframe is
- * not passed, it defaults to true.
+ * Each call returns a middleware with its own configuration, so
+ * several differently configured instances can be used in a single
+ * process. The middleware has a clearCache() method that drops all
+ * cached decisions.
  *
  * Example usage:
  *   var wwwhisper = require('connect-wwwhisper');
  *   app.use(wwwhisper());
  * or to disable wwwhisper iframe injection:
- *   app.user(wwwhisper(false));
+ *   app.use(wwwhisper({injectLogoutIframe: false}));
+ * Koa and Fastify applications can use require('connect-wwwhisper/koa')
+ * and require('connect-wwwhisper/fastify') adapters, applications
+ * without a framework can use wwwhisper.createServer().
  *
  * Make sure wwwhisper middleware is put before any middleware that
  * writes sensitive responses.
+ *
+ * For allowed requests, the middleware sets req.wwwhisper to an
+ * object with:
+ *  user: an email of the authenticated user, undefined if wwwhisper
+ *  allowed the request without identifying the user.
+ *  openLocation: true if the request was allowed without identifying
+ *  the user (the location is open to everyone).
+ *  headers: headers of the wwwhisper authorization response.
+ *
+ * Requests to /wwwhisper/ paths are proxied to wwwhisper with
+ * X-Forwarded-For, X-Forwarded-Proto and X-Forwarded-Host headers.
+ * Responses of wwwhisper (including rejections of requests) are
+ * relayed without hop-by-hop headers such as Connection and
+ * Transfer-Encoding. A proxied request is aborted if the client
+ * disconnects.
+ *
+ * X-Request-Id header of a request is forwarded to wwwhisper, with
+ * both authorization queries and requests proxied to wwwhisper. If
+ * the header is absent, a random id is generated and set in
+ * req.headers, so the application can use the same id in its logs.
+ *
+ * WebSocket and other upgrade requests do not pass through Connect.
+ * To authorize them, call the upgradeHandler(server) method of the
+ * middleware with an HTTP server. Then 'upgrade' events of the server
+ * are emitted only for authorized requests, with req.wwwhisper and
+ * req.remoteUser set. Connections of rejected requests are closed
+ * with a wwwhisper response (for example 401 or 403):
+ *   var authorize = wwwhisper();
+ *   app.use(authorize);
+ *   var server = http.createServer(app);
+ *   authorize.upgradeHandler(server);
+ *   new WebSocket.Server({server: server});
+ *
+ * The middleware is an EventEmitter that emits an event for each
+ * authorization decision: 'allowed', 'loginRequired' (401), 'denied'
+ * (403 and other rejections) and 'backendError' (wwwhisper failed or
+ * is unavailable). Listeners are called with an object with:
+ *  path: the normalized path of the request.
+ *  user: an email of the user, if returned by wwwhisper.
+ *  status: the status of the decision (500 or 503 for backend
+ *  errors).
+ *  latency: the duration of the authorization in milliseconds.
+ *  cached: true if the decision was taken from the cache.
+ *  error: for backend errors, the error.
+ * Decisions are not taken, and events are not emitted, for public
+ * paths and requests proxied to wwwhisper. wwwhisper.Metrics collects
+ * these events as Prometheus metrics:
+ *   var metrics = new wwwhisper.Metrics();
+ *   metrics.observe(authorize);
+ *   internalApp.get('/metrics', metrics.handler());
  */
-function wwwhisper(injectLogoutIframe) {
-  configure();
-  if (wwwhisperURL === null) {
-    return function wwwhisperDisabled(req, res, next) {
+function wwwhisper(options) {
+  if (typeof options === 'boolean') {
+    options = {injectLogoutIframe: options};
+  }
+  var config = configure(options || {});
+  var client = new Client(config);
+  var middleware;
+  if (config === null) {
+    middleware = function wwwhisperDisabled(req, res, next) {
       next();
     };
+  } else {
+    middleware = authorizer(client);
   }
-  if (injectLogoutIframe  === undefined) {
-    injectLogoutIframe = true;
+  Object.keys(EventEmitter.prototype).forEach(function(key) {
+    middleware[key] = EventEmitter.prototype[key];
+  });
+  EventEmitter.call(middleware);
+  if (config !== null) {
+    config.events = middleware;
   }
+  middleware.clearCache = function() {
+    if (config !== null && config.cache !== null) {
+      config.cache.clear();
+    }
+  };
+  middleware.logoutScriptHash = (config !== null ?
+                                 logoutScriptHash(config.injection) : null);
+  middleware.client = client;
+  middleware.upgradeHandler = (config !== null ? upgradeAuthorizer(client) :
+                               function(server) {
+                                 return server;
+                               });
+  return middleware;
+}
 
-  return function isAuthorized(req, res, next) {
-    // A reason why node <= 0.8.* is not supported is that starting from
-    // node 0.10, req is a readable stream that does not emit data until
-    // a reader is ready. With node 0.8 req emits 'data' events
-    // immediately (req.readable becomes false).
-    var uri = normalizedUri(req.url);
-    req.url = uri.toString();
-    if (req.url.search(/^\/wwwhisper\/auth\//) !== -1) {
-      authorized(req, res, next);
+/**
+ * Returns a middleware that restricts access to a route beyond what
+ * wwwhisper allows. Requests without an authenticated user (for
+ * example requests to open locations) are rejected with 401. If
+ * allowedUsers (a list of emails) is given, requests of other users
+ * are rejected with 403. Emails are compared case-insensitively.
+ *
+ * Needs to be used after the wwwhisper middleware, for example:
+ *   app.get('/admin/', wwwhisper.requireUser(['alice@example.com']),
+ *           adminHandler);
+ */
+function requireUser(allowedUsers) {
+  var allowed = null;
+  if (allowedUsers !== undefined) {
+    allowed = allowedUsers.map(function(email) {
+      return email.toLowerCase();
+    });
+  }
+  return function userRequired(req, res, next) {
+    var user = req.wwwhisper !== undefined ? req.wwwhisper.user : undefined;
+    if (user === undefined) {
+      writeHead(res, 401, {'Content-Type': 'text/plain'});
+      res.end('Login required');
+    } else if (allowed !== null &&
+               allowed.indexOf(user.toLowerCase()) === -1) {
+      writeHead(res, 403, {'Content-Type': 'text/plain'});
+      res.end('Not authorized');
     } else {
-      var options = subRequestOptions(req, 'GET', authQuery(uri.path()),
-                                      AUTH_REQUEST_FORWARDED_HEADERS);
-      var authReq = http.request(options, function(authRes) {
-        if (authRes.statusCode === 200) {
-          var user = authRes.headers['user'];
-          if (user !== undefined) {
-            req.remoteUser =  user;
-            res.setHeader('User', user);
-          }
-          var callChain = injectLogoutIframe ? [injector, authorized, next] :
-            [authorized, next];
-          chain(req, res, callChain);
-        } else {
-          writeHead(res, authRes.statusCode, authRes.headers);
-          authRes.on('data', function(chunk) {
-            res.write(chunk);
-          });
-          authRes.on('end', function() {
-            res.end();
-          });
-        }
-      });
-      authReq.on('error', reportError(res, 'auth request failed'));
-      authReq.end();
+      next();
     }
   };
 }
+
+/**
+ * Returns an http.Server that passes authorized requests to
+ * requestListener(req, res), for applications that use neither
+ * Connect nor another framework. options are the same as options of
+ * the middleware. Upgrade requests are authorized too (see
+ * upgradeHandler). The middleware is available as a wwwhisper
+ * property of the server.
+ *
+ * Example usage:
+ *   wwwhisper.createServer(function(req, res) {
+ *     res.end('Hello ' + req.remoteUser);
+ *   }).listen(8080);
+ */
+function createServer(options, requestListener) {
+  if (typeof options === 'function') {
+    requestListener = options;
+    options = undefined;
+  }
+  var middleware = wwwhisper(options);
+  var server = http.createServer(function(req, res) {
+    middleware(req, res, function(err) {
+      if (err) {
+        // onError is 'next', but there is no next handler.
+        sendError(req, res, err);
+        return;
+      }
+      requestListener(req, res);
+    });
+  });
+  middleware.upgradeHandler(server);
+  server.wwwhisper = middleware;
+  return server;
+}
+
+/**
+ * Returns a client that checks with wwwhisper if visitors can access
+ * paths, without the middleware, for example in GraphQL resolvers.
+ * options are the same as options of the middleware. The middleware
+ * has its own client as a client property, which shares the cache and
+ * the connections to wwwhisper with the middleware.
+ *
+ * Example usage:
+ *   var client = wwwhisper.client();
+ *   client.check({cookies: req.headers.cookie, host: 'example.com',
+ *                 path: '/reports/'}).then(function(result) {
+ *     if (result.allowed) {
+ *       ...
+ *     }
+ *   });
+ */
+function client(options) {
+  return new Client(configure(options || {}));
+}
+
+/**
+ * Checks which of the paths the visitor that made a request can
+ * access, using the client of the middleware that allowed the
+ * request, for example to hide links to inaccessible sections:
+ *   wwwhisper.canAccess(req, ['/admin/', '/reports/'])
+ *     .then(function(access) {
+ *       res.render('index', {access: req.wwwhisper.access});
+ *     });
+ * See Client.prototype.canAccess for details. The promise is rejected
+ * if the request was not allowed by a wwwhisper middleware.
+ */
+function canAccess(req, paths, options) {
+  if (req.wwwhisper === undefined || req.wwwhisper.client === undefined) {
+    return Promise.reject(
+      new Error('Request was not allowed by wwwhisper middleware'));
+  }
+  return req.wwwhisper.client.canAccess(req, paths, options);
+}
+
+/**
+ * Returns a client of the wwwhisper admin API, for example for
+ * provisioning scripts that manage locations and allowed users.
+ * options are the same as options of the middleware (url defaults to
+ * WWWHISPER_URL, with the same credentials), siteUrl (the address of
+ * the managed site) is required. options.cookies (a Cookie header or
+ * an object that maps names to values) can pass a session of a user
+ * allowed to access /wwwhisper/admin/.
+ *
+ * Methods of the client return promises (except close(), which
+ * closes idle connections to wwwhisper): locations(),
+ * findLocation(path), addLocation(path), deleteLocation(location),
+ * users(), addUser(email), deleteUser(user), grantAccess(location,
+ * user), revokeAccess(location, user), setOpenAccess(location, open).
+ * Locations and users are objects returned by the API, or their
+ * ids. Failed requests are rejected with a wwwhisper.WwwhisperError
+ * with 'admin' phase and the status of the wwwhisper response.
+ *
+ * Example usage:
+ *   var admin = wwwhisper.admin({siteUrl: 'https://example.com'});
+ *   Promise.all([admin.addLocation('/reports/'),
+ *                admin.addUser('alice@example.com')])
+ *     .then(function(created) {
+ *       return admin.grantAccess(created[0], created[1]);
+ *     }).then(function() {
+ *       admin.close();
+ *     });
+ *
+ * The admin client does not clear caches of middlewares, also not of
+ * middlewares in the same process: cached decisions can be stale
+ * until they expire, unless middleware.clearCache() is called after
+ * the changes.
+ */
+function admin(options) {
+  options = options || {};
+  var config = configure(options);
+  if (config === null || config.dev !== null) {
+    throw new Error('wwwhisper admin client needs a wwwhisper url');
+  }
+  if (config.siteUrl === null) {
+    throw new Error('wwwhisper admin client needs siteUrl option');
+  }
+  return new AdminClient(config, cookieHeader(options.cookies));
+}
+
+wwwhisper.admin = admin;
+wwwhisper.requireUser = requireUser;
+wwwhisper.canAccess = canAccess;
+wwwhisper.client = client;
+wwwhisper.Client = Client;
+wwwhisper.createServer = createServer;
+wwwhisper.Metrics = Metrics;
+wwwhisper.WwwhisperError = WwwhisperError;
 module.exports = wwwhisper;
@@ -0,0 +1,107 @@
+/*
+ * In-memory cache of wwwhisper authorization decisions.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var DEFAULT_MAX_AGE = 5000;
+var DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Bounded cache of authorization decisions. Entries expire after
+ * maxAge milliseconds, when the number of entries exceeds maxEntries,
+ * the least recently used entry is evicted.
+ *
+ * Keys are strings, cache relies on the insertion order of object
+ * properties to track recency of use.
+ */
+function DecisionCache(options) {
+  options = options || {};
+  this.maxAge = (options.maxAge !== undefined ?
+                 options.maxAge : DEFAULT_MAX_AGE);
+  this.maxEntries = (options.maxEntries !== undefined ?
+                     options.maxEntries : DEFAULT_MAX_ENTRIES);
+  this.clear();
+}
+
+DecisionCache.prototype.clear = function() {
+  this.entries = Object.create(null);
+  this.size = 0;
+};
+
+DecisionCache.prototype.get = function(key) {
+  var entry = this.entries[key];
+  if (entry === undefined) {
+    return undefined;
+  }
+  delete this.entries[key];
+  if (entry.expires <= Date.now()) {
+    this.size -= 1;
+    return undefined;
+  }
+  // Reinserted entry becomes the most recently used one.
+  this.entries[key] = entry;
+  return entry.value;
+};
+
+/**
+ * Stores a value. An optional maxAge (in milliseconds) can only
+ * shorten the configured expiration time.
+ */
+DecisionCache.prototype.set = function(key, value, maxAge) {
+  if (maxAge === undefined || maxAge > this.maxAge) {
+    maxAge = this.maxAge;
+  }
+  if (maxAge <= 0 || this.maxEntries <= 0) {
+    return;
+  }
+  if (this.entries[key] !== undefined) {
+    delete this.entries[key];
+  } else {
+    this.size += 1;
+  }
+  this.entries[key] = {value: value, expires: Date.now() + maxAge};
+  for (var oldest in this.entries) {
+    if (this.size <= this.maxEntries) {
+      break;
+    }
+    delete this.entries[oldest];
+    this.size -= 1;
+  }
+};
+
+/**
+ * Removes all entries with keys starting with a given prefix.
+ */
+DecisionCache.prototype.invalidate = function(prefix) {
+  for (var key in this.entries) {
+    if (key.lastIndexOf(prefix, 0) === 0) {
+      delete this.entries[key];
+      this.size -= 1;
+    }
+  }
+};
+
+/**
+ * Returns for how long (in milliseconds) a response can be cached
+ * according to its Cache-Control header, or undefined if the header
+ * puts no limits.
+ */
+function maxAgeFromCacheControl(cacheControl) {
+  if (cacheControl === undefined) {
+    return undefined;
+  }
+  if (/(?:^|,)\s*(?:no-store|no-cache)\s*(?:,|=|$)/i.test(cacheControl)) {
+    return 0;
+  }
+  var match = /(?:^|,)\s*max-age\s*=\s*"?(\d+)/i.exec(cacheControl);
+  if (match !== null) {
+    return parseInt(match[1], 10) * 1000;
+  }
+  return undefined;
+}
+
+exports.DecisionCache = DecisionCache;
+exports.maxAgeFromCacheControl = maxAgeFromCacheControl;
@@ -0,0 +1,122 @@
+/*
+ * Simulation of wwwhisper decisions for a local development
+ * environment.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var fs = require('fs');
+
+var OPEN = '*';
+
+function loadRules(rules) {
+  if (typeof rules === 'string') {
+    var path = rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+      throw new Error('Failed to load wwwhisper dev rules from ' + path +
+                      ': ' + err.message);
+    }
+  }
+  Object.keys(rules).forEach(function(location) {
+    var allowed = rules[location];
+    if (allowed !== OPEN && !Array.isArray(allowed)) {
+      throw new Error('Invalid wwwhisper dev rule for ' + location +
+                      ': expected a list of emails or "' + OPEN + '"');
+    }
+  });
+  return rules;
+}
+
+/**
+ * Returns dev mode settings. user is an email of the impersonated
+ * user (undefined for an anonymous visitor). rules, if given, is a
+ * path to a JSON file or an object that maps locations to lists of
+ * emails of allowed users, or to "*" for open locations, for example:
+ *   {"/": "*", "/admin/": ["alice@example.com"]}
+ */
+function devMode(user, rules) {
+  return {
+    user: user || undefined,
+    rules: rules !== undefined ? loadRules(rules) : null
+  };
+}
+
+// A location covers its path and all subpaths, such as '/foo' covers
+// '/foo', '/foo/' and '/foo/bar', but not '/foobar'.
+function covers(location, path) {
+  if (path.lastIndexOf(location, 0) !== 0) {
+    return false;
+  }
+  return (path.length === location.length ||
+          location.charAt(location.length - 1) === '/' ||
+          path.charAt(location.length) === '/');
+}
+
+// Returns the most specific location that covers the path.
+function findLocation(rules, path) {
+  var found = null;
+  Object.keys(rules).forEach(function(location) {
+    if (covers(location, path) &&
+        (found === null || location.length > found.length)) {
+      found = location;
+    }
+  });
+  return found;
+}
+
+function response(statusCode, body) {
+  return {
+    statusCode: statusCode,
+    headers: {'content-type': 'text/plain'},
+    body: body
+  };
+}
+
+/**
+ * Returns a response to an authorization query, in the same form as
+ * a response from wwwhisper: {statusCode, headers, body}.
+ */
+function decide(dev, path) {
+  var allowed = {statusCode: 200, headers: {}, body: null};
+  if (dev.user !== undefined) {
+    allowed.headers['user'] = dev.user;
+  }
+  if (dev.rules === null) {
+    return dev.user !== undefined ? allowed : response(401, 'Login required');
+  }
+  var location = findLocation(dev.rules, path);
+  var allowedUsers = location !== null ? dev.rules[location] : [];
+  if (allowedUsers === OPEN) {
+    return allowed;
+  }
+  if (dev.user === undefined) {
+    return response(401, 'Login required');
+  }
+  var user = dev.user.toLowerCase();
+  var isAllowed = allowedUsers.some(function(email) {
+    return email.toLowerCase() === user;
+  });
+  return isAllowed ? allowed : response(403, 'Not authorized');
+}
+
+/**
+ * Returns a script that shows the impersonated user in place of the
+ * wwwhisper logout iframe.
+ */
+function widgetScript(dev) {
+  var label = 'wwwhisper dev mode: ' + (dev.user || 'anonymous');
+  return ('(function(){var d=document.createElement(\'div\');' +
+          'd.textContent=' + JSON.stringify(label).replace(/</g, '\\u003c') +
+          ';d.style.cssText=\'position:fixed;bottom:0;right:0;' +
+          'padding:4px 8px;background:#eee;color:#333;' +
+          'font:12px sans-serif;z-index:2147483647\';' +
+          '(document.body||document.documentElement).appendChild(d);})();');
+}
+
+exports.devMode = devMode;
+exports.decide = decide;
+exports.widgetScript = widgetScript;
@@ -0,0 +1,35 @@
+/*
+ * Errors reported by wwwhisper middleware.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var util = require('util');
+
+/**
+ * An error of a request to the wwwhisper backend. properties can
+ * include:
+ *  cause: the underlying error.
+ *  phase: 'auth' for authorization queries, 'proxy' for requests
+ *  proxied to wwwhisper, 'admin' for requests of the admin client.
+ *  backendUrl: an address of wwwhisper, without credentials.
+ *  status: a status of the response that reports the error (500, or
+ *  503 if wwwhisper is unavailable). For the admin client, a status
+ *  of the wwwhisper response, if wwwhisper responded.
+ *  headers: headers of such response (Retry-After for 503).
+ */
+function WwwhisperError(message, properties) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = message;
+  var key;
+  for (key in properties) {
+    this[key] = properties[key];
+  }
+}
+util.inherits(WwwhisperError, Error);
+
+exports.WwwhisperError = WwwhisperError;
@@ -0,0 +1,58 @@
+/*
+ * Fastify plugin that uses wwwhisper service to authorize visitors.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var wwwhisper = require('./connect-wwwhisper');
+
+/**
+ * Fastify plugin, accepts the same options as the Connect middleware.
+ * Requests are authorized in an onRequest hook of the whole
+ * application. The Connect middleware, which does the actual work, is
+ * available as fastify.wwwhisper, for example to listen to decision
+ * events or to authorize WebSocket connections with its
+ * upgradeHandler(fastify.server) method.
+ *
+ * For allowed requests, request.wwwhisper (and request.raw.wwwhisper)
+ * is set and the request is handled by Fastify. Other requests
+ * (rejections, requests proxied to wwwhisper) are responded to by
+ * wwwhisper, bypassing Fastify (the reply is hijacked).
+ *
+ * Example usage:
+ *   fastify.register(require('connect-wwwhisper/fastify'), options);
+ */
+function fastifyWwwhisper(fastify, options, done) {
+  var middleware = wwwhisper(options);
+  fastify.decorate('wwwhisper', middleware);
+  fastify.decorateRequest('wwwhisper', null);
+
+  fastify.addHook('onRequest', function(request, reply, hookDone) {
+    var res = reply.raw;
+    var passed = false;
+    function responded() {
+      if (!passed) {
+        reply.hijack();
+      }
+    }
+    res.once('finish', responded);
+    res.once('close', responded);
+    middleware(request.raw, res, function(err) {
+      passed = true;
+      if (request.raw.wwwhisper !== undefined) {
+        request.wwwhisper = request.raw.wwwhisper;
+      }
+      hookDone(err);
+    });
+  });
+  done();
+}
+
+// Makes the hook apply to the whole application, like fastify-plugin
+// does.
+fastifyWwwhisper[Symbol.for('skip-override')] = true;
+fastifyWwwhisper[Symbol.for('fastify.display-name')] = 'connect-wwwhisper';
+
+module.exports = fastifyWwwhisper;
@@ -0,0 +1,95 @@
+/*
+ * Stream that injects markup into an HTML document.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var stream = require('stream');
+var util = require('util');
+
+// A closing tag can be split between chunks, this many last
+// characters of a chunk are held back to detect such tags.
+var TAG_LENGTH = '</body'.length;
+
+// Content after the last seen </body> is held back, because a later
+// </body> can follow. If the held back content grows above this
+// limit, the markup is injected before the already seen </body>.
+var MAX_HELD_BACK = 64 * 1024;
+
+function lastMatch(regexp, text) {
+  var match, last = -1;
+  regexp.lastIndex = 0;
+  while ((match = regexp.exec(text)) !== null) {
+    last = match.index;
+  }
+  return last;
+}
+
+/**
+ * A transform stream that injects markup before the last </body>
+ * tag (position 'body') or before the first </head> tag (position
+ * 'head') of an HTML document. Tags are matched case-insensitively.
+ * If the document has no such tag, the markup is appended to the end
+ * of the document. Empty documents are not modified.
+ *
+ * The document is passed through as soon as possible, only content
+ * that can precede the place of the injection is held back.
+ *
+ * Bytes are mapped to characters one to one ('latin1'), so the
+ * document is never re-encoded, whatever charset it uses.
+ */
+function HtmlInjection(markup, position) {
+  stream.Transform.call(this);
+  this.markup = Buffer.from(markup, 'utf8').toString('latin1');
+  this.injectLast = (position !== 'head');
+  this.tagRegExp = this.injectLast ? /<\/body/ig : /<\/head/ig;
+  this.heldBack = '';
+  this.injected = false;
+  this.empty = true;
+}
+util.inherits(HtmlInjection, stream.Transform);
+
+HtmlInjection.prototype._transform = function(chunk, encoding, callback) {
+  var text = this.heldBack + chunk.toString('latin1');
+  this.heldBack = '';
+  if (chunk.length > 0) {
+    this.empty = false;
+  }
+  if (this.injected) {
+    this.push(text, 'latin1');
+    callback();
+    return;
+  }
+  var idx = (this.injectLast ? lastMatch(this.tagRegExp, text) :
+             text.search(this.tagRegExp));
+  if (idx === -1) {
+    var tailStart = Math.max(0, text.length - (TAG_LENGTH - 1));
+    this.heldBack = text.slice(tailStart);
+    this.push(text.slice(0, tailStart), 'latin1');
+  } else if (!this.injectLast ||
+             text.length - idx > MAX_HELD_BACK) {
+    this.injected = true;
+    this.push(text.slice(0, idx) + this.markup + text.slice(idx), 'latin1');
+  } else {
+    this.heldBack = text.slice(idx);
+    this.push(text.slice(0, idx), 'latin1');
+  }
+  callback();
+};
+
+HtmlInjection.prototype._flush = function(callback) {
+  var text = this.heldBack;
+  if (!this.injected && !this.empty) {
+    if (text.search(this.tagRegExp) === 0) {
+      text = this.markup + text;
+    } else {
+      text = text + this.markup;
+    }
+  }
+  this.push(text, 'latin1');
+  callback();
+};
+
+module.exports = HtmlInjection;
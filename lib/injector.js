@@ -0,0 +1,210 @@
+/*
+ * Connect middleware that allows to modify bodies of responses.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var zlib = require('zlib');
+
+function codec(createDecoder, createEncoder) {
+  return {createDecoder: createDecoder, createEncoder: createEncoder};
+}
+
+// Supported values of Content-Encoding header.
+var CODECS = {
+  identity: codec(null, null),
+  gzip: codec(zlib.createGunzip, zlib.createGzip),
+  'x-gzip': codec(zlib.createGunzip, zlib.createGzip),
+  deflate: codec(zlib.createInflate, zlib.createDeflate)
+};
+if (zlib.createBrotliCompress !== undefined) {
+  CODECS.br = codec(zlib.createBrotliDecompress, zlib.createBrotliCompress);
+}
+
+function responseCodec(res) {
+  var encoding = res.getHeader('content-encoding') || 'identity';
+  return CODECS[String(encoding).trim().toLowerCase()];
+}
+
+function hasBody(req, res) {
+  return (req.method !== 'HEAD' && res.statusCode >= 200 &&
+          res.statusCode !== 204 && res.statusCode !== 304);
+}
+
+/**
+ * Returns a middleware that passes a response body through a
+ * transform stream returned by createTransform(req, res) if
+ * when(req, res) returns true (when is called once response headers
+ * are set).
+ *
+ * Compressed bodies are decompressed before the transformation and
+ * compressed again using the original Content-Encoding. Responses with
+ * an unsupported Content-Encoding are not modified. Because the length
+ * of the transformed body is not known in advance, Content-Length
+ * header is removed from modified responses.
+ *
+ * The body is streamed, backpressure of the client connection is
+ * propagated to the application. If the body turns out not to be
+ * correctly compressed, it is sent unmodified.
+ */
+function injector(when, createTransform) {
+  return function(req, res, next) {
+    var writeHead = res.writeHead;
+    var write = res.write;
+    var end = res.end;
+    var intercepted;
+    // Input of the decode, transform, encode pipeline.
+    var input = null;
+    // Received body, kept until the pipeline produces any output, to
+    // be sent as is if the body can not be decoded.
+    var rawChunks = [];
+    var failed = false;
+    var ended = false;
+    var endCallback;
+
+    function isIntercepted() {
+      if (intercepted === undefined) {
+        intercepted = (hasBody(req, res) && when(req, res) &&
+                       responseCodec(res) !== undefined);
+        if (intercepted) {
+          res.removeHeader('Content-Length');
+        }
+      }
+      return intercepted && !failed;
+    }
+
+    function onError() {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      if (rawChunks === null) {
+        // Part of a transformed body was already sent.
+        res.destroy();
+        return;
+      }
+      rawChunks.forEach(function(chunk) {
+        write.call(res, chunk);
+      });
+      rawChunks = null;
+      if (ended) {
+        end.call(res, endCallback);
+      }
+    }
+
+    function createPipeline() {
+      var bodyCodec = responseCodec(res);
+      var streams = [];
+      if (bodyCodec.createDecoder !== null) {
+        streams.push(bodyCodec.createDecoder());
+      }
+      streams.push(createTransform(req, res));
+      if (bodyCodec.createEncoder !== null) {
+        streams.push(bodyCodec.createEncoder());
+      }
+      streams.forEach(function(stream, idx) {
+        stream.on('error', onError);
+        if (idx > 0) {
+          streams[idx - 1].pipe(stream);
+        }
+      });
+
+      var output = streams[streams.length - 1];
+      output.on('data', function(chunk) {
+        if (failed) {
+          return;
+        }
+        rawChunks = null;
+        if (write.call(res, chunk) === false) {
+          output.pause();
+          res.once('drain', function() {
+            output.resume();
+          });
+        }
+      });
+      output.on('end', function() {
+        if (!failed) {
+          end.call(res, endCallback);
+        }
+      });
+      streams[0].on('drain', function() {
+        res.emit('drain');
+      });
+      return streams[0];
+    }
+
+    // Headers passed to writeHead are set with setHeader to be visible
+    // to the when function.
+    res.writeHead = function(statusCode, reason, headers) {
+      if (typeof reason !== 'string') {
+        headers = reason;
+        reason = undefined;
+      }
+      var header;
+      for (header in headers) {
+        res.setHeader(header, headers[header]);
+      }
+      res.statusCode = statusCode;
+      isIntercepted();
+      if (reason !== undefined) {
+        return writeHead.call(res, statusCode, reason);
+      }
+      return writeHead.call(res, statusCode);
+    };
+
+    res.write = function(chunk, encoding, callback) {
+      if (!isIntercepted()) {
+        return write.apply(res, arguments);
+      }
+      if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+      if (!Buffer.isBuffer(chunk)) {
+        chunk = Buffer.from(chunk, encoding);
+      }
+      if (chunk.length === 0) {
+        if (callback) {
+          process.nextTick(callback);
+        }
+        return true;
+      }
+      if (input === null) {
+        input = createPipeline();
+      }
+      if (rawChunks !== null) {
+        rawChunks.push(chunk);
+      }
+      return input.write(chunk, callback);
+    };
+
+    res.end = function(data, encoding, callback) {
+      if (!isIntercepted()) {
+        return end.apply(res, arguments);
+      }
+      if (typeof data === 'function') {
+        callback = data;
+        data = undefined;
+      } else if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+      if (data !== undefined && data !== null) {
+        res.write(data, encoding);
+      }
+      ended = true;
+      endCallback = callback;
+      if (input === null) {
+        return end.call(res, callback);
+      }
+      input.end();
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = injector;
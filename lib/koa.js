@@ -0,0 +1,63 @@
+/*
+ * Koa middleware that uses wwwhisper service to authorize visitors.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var wwwhisper = require('./connect-wwwhisper');
+
+/**
+ * Returns Koa middleware, accepts the same options as the Connect
+ * middleware. The Connect middleware, which does the actual work, is
+ * available as a wwwhisper property of the returned middleware, for
+ * example to listen to decision events or to authorize WebSocket
+ * connections with its upgradeHandler(server) method.
+ *
+ * For allowed requests, ctx.state.wwwhisper (and ctx.req.wwwhisper)
+ * is set and downstream middleware is called. Other requests
+ * (rejections, requests proxied to wwwhisper) are responded to by
+ * wwwhisper, bypassing Koa (ctx.respond is set to false).
+ *
+ * Example usage:
+ *   var wwwhisper = require('connect-wwwhisper/koa');
+ *   app.use(wwwhisper());
+ */
+function koaWwwhisper(options) {
+  var middleware = wwwhisper(options);
+
+  function koaMiddleware(ctx, next) {
+    var res = ctx.res;
+    return new Promise(function(resolve, reject) {
+      // Resolved with false if wwwhisper responds instead of passing
+      // the request on (only the first resolve takes effect).
+      function responded() {
+        resolve(false);
+      }
+      res.once('finish', responded);
+      res.once('close', responded);
+      middleware(ctx.req, res, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(true);
+        }
+      });
+    }).then(function(allowed) {
+      if (!allowed) {
+        ctx.respond = false;
+        return;
+      }
+      if (ctx.req.wwwhisper !== undefined) {
+        ctx.state.wwwhisper = ctx.req.wwwhisper;
+      }
+      return next();
+    });
+  }
+
+  koaMiddleware.wwwhisper = middleware;
+  return koaMiddleware;
+}
+
+module.exports = koaWwwhisper;
@@ -0,0 +1,124 @@
+/*
+ * Prometheus metrics of wwwhisper authorization decisions.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+// Upper bounds of latency histogram buckets in seconds.
+var DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5,
+                       5, 10];
+
+// Events emitted by the middleware and corresponding values of the
+// decision label.
+var DECISIONS = {
+  allowed: 'allowed',
+  loginRequired: 'login_required',
+  denied: 'denied',
+  backendError: 'backend_error'
+};
+
+/**
+ * Collects metrics from events emitted by wwwhisper middlewares:
+ *  wwwhisper_decisions_total: a counter of decisions, labeled with
+ *  the decision ('allowed', 'login_required', 'denied',
+ *  'backend_error').
+ *  wwwhisper_auth_duration_seconds: a histogram of latencies of
+ *  authorization queries sent to wwwhisper (decisions taken from the
+ *  cache are not included). Upper bounds of the buckets (in seconds)
+ *  can be set with options.buckets.
+ *
+ * Example usage:
+ *   var metrics = new wwwhisper.Metrics();
+ *   var authorize = wwwhisper();
+ *   metrics.observe(authorize);
+ *   app.use(authorize);
+ *   internalApp.get('/metrics', metrics.handler());
+ */
+function Metrics(options) {
+  options = options || {};
+  var self = this;
+  this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort(
+    function(a, b) {
+      return a - b;
+    });
+  this.decisions = {};
+  Object.keys(DECISIONS).forEach(function(event) {
+    self.decisions[DECISIONS[event]] = 0;
+  });
+  this.bucketCounts = this.buckets.map(function() {
+    return 0;
+  });
+  this.latencyCount = 0;
+  this.latencySum = 0;
+}
+
+/**
+ * Subscribes to decision events of a wwwhisper middleware.
+ */
+Metrics.prototype.observe = function(middleware) {
+  var self = this;
+  Object.keys(DECISIONS).forEach(function(event) {
+    middleware.on(event, function(decision) {
+      self.record(DECISIONS[event], decision);
+    });
+  });
+  return this;
+};
+
+Metrics.prototype.record = function(decisionLabel, decision) {
+  this.decisions[decisionLabel] += 1;
+  if (decision.cached) {
+    return;
+  }
+  var seconds = decision.latency / 1000;
+  this.latencyCount += 1;
+  this.latencySum += seconds;
+  for (var i = 0; i < this.buckets.length; i++) {
+    if (seconds <= this.buckets[i]) {
+      this.bucketCounts[i] += 1;
+    }
+  }
+};
+
+/**
+ * Returns metrics in Prometheus text exposition format.
+ */
+Metrics.prototype.toPrometheus = function() {
+  var self = this;
+  var lines = [
+    '# HELP wwwhisper_decisions_total Authorization decisions.',
+    '# TYPE wwwhisper_decisions_total counter'
+  ];
+  Object.keys(this.decisions).forEach(function(label) {
+    lines.push('wwwhisper_decisions_total{decision="' + label + '"} ' +
+               self.decisions[label]);
+  });
+  lines.push('# HELP wwwhisper_auth_duration_seconds ' +
+             'Latency of authorization queries to wwwhisper.');
+  lines.push('# TYPE wwwhisper_auth_duration_seconds histogram');
+  this.buckets.forEach(function(bucket, idx) {
+    lines.push('wwwhisper_auth_duration_seconds_bucket{le="' + bucket +
+               '"} ' + self.bucketCounts[idx]);
+  });
+  lines.push('wwwhisper_auth_duration_seconds_bucket{le="+Inf"} ' +
+             this.latencyCount);
+  lines.push('wwwhisper_auth_duration_seconds_sum ' + this.latencySum);
+  lines.push('wwwhisper_auth_duration_seconds_count ' + this.latencyCount);
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Returns a middleware that responds with the metrics.
+ */
+Metrics.prototype.handler = function() {
+  var self = this;
+  return function metricsHandler(req, res) {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+    res.writeHead(200);
+    res.end(self.toPrometheus());
+  };
+};
+
+module.exports = Metrics;
@@ -0,0 +1,170 @@
+/*
+ * Rate limiting of visitors with rejected requests.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var DEFAULT_MAX = 20;
+var DEFAULT_WINDOW = 60000;
+var DEFAULT_MAX_ENTRIES = 10000;
+
+// Keys of client addresses start with this prefix, they are limited
+// with addressMax.
+var ADDRESS_KEY_PREFIX = 'ip:';
+
+/**
+ * In-memory store of counters of rejected requests. Counters are
+ * reset when their windows end. When the number of counters exceeds
+ * maxEntries (10000 by default), the oldest counter is dropped.
+ *
+ * Stores shared by several processes (for example backed by Redis)
+ * need to implement the same two methods, both can call back
+ * asynchronously:
+ *  get(key, callback): calls back with an error or a counter, an
+ *  object {count, resetAt} (resetAt is a time in milliseconds since
+ *  the epoch), or null if there is no active counter for the key.
+ *  increment(key, windowMs, callback): increments a counter, starts
+ *  a new counter with a window of windowMs milliseconds if there is
+ *  no active one, calls back with an error or the counter.
+ */
+function MemoryStore(options) {
+  options = options || {};
+  this.maxEntries = (options.maxEntries !== undefined ?
+                     options.maxEntries : DEFAULT_MAX_ENTRIES);
+  this.counters = Object.create(null);
+  this.size = 0;
+}
+
+MemoryStore.prototype.activeCounter = function(key) {
+  var counter = this.counters[key];
+  if (counter !== undefined && counter.resetAt <= Date.now()) {
+    delete this.counters[key];
+    this.size -= 1;
+    return undefined;
+  }
+  return counter;
+};
+
+MemoryStore.prototype.get = function(key, callback) {
+  var counter = this.activeCounter(key);
+  callback(null, counter !== undefined ? counter : null);
+};
+
+MemoryStore.prototype.increment = function(key, windowMs, callback) {
+  var counter = this.activeCounter(key);
+  if (counter === undefined) {
+    counter = {count: 0, resetAt: Date.now() + windowMs};
+    this.counters[key] = counter;
+    this.size += 1;
+    // Relies on the insertion order of object properties.
+    for (var oldest in this.counters) {
+      if (this.size <= this.maxEntries) {
+        break;
+      }
+      delete this.counters[oldest];
+      this.size -= 1;
+    }
+  }
+  counter.count += 1;
+  callback(null, {count: counter.count, resetAt: counter.resetAt});
+};
+
+/**
+ * Limits visitors (identified by several keys, such as an address
+ * and a cookie) to max (20 by default) rejected requests within a
+ * window of window milliseconds (60000 by default). Keys of addresses
+ * are limited to addressMax (max by default) rejected requests,
+ * because an address can be shared by several users. store defaults
+ * to a MemoryStore.
+ */
+function RateLimiter(options) {
+  options = options || {};
+  this.max = options.max !== undefined ? options.max : DEFAULT_MAX;
+  this.addressMax = (options.addressMax !== undefined ?
+                     options.addressMax : this.max);
+  this.window = (options.window !== undefined ?
+                 options.window : DEFAULT_WINDOW);
+  this.store = options.store || new MemoryStore(options);
+}
+
+// Calls a method of the store for each of the keys, calls back with
+// the first error or with a list of counters.
+RateLimiter.prototype.forEachKey = function(keys, call, callback) {
+  var counters = [], pending = keys.length, failed = false;
+  if (pending === 0) {
+    callback(null, counters);
+    return;
+  }
+  keys.forEach(function(key) {
+    call(key, function(err, counter) {
+      if (failed) {
+        return;
+      }
+      if (err) {
+        failed = true;
+        callback(err);
+        return;
+      }
+      if (counter) {
+        counters.push(counter);
+      }
+      pending -= 1;
+      if (pending === 0) {
+        callback(null, counters);
+      }
+    });
+  });
+};
+
+/**
+ * Calls back with an error or with the number of seconds after which
+ * the visitor can retry, 0 if the visitor is not limited.
+ */
+RateLimiter.prototype.check = function(keys, callback) {
+  var self = this;
+  this.forEachKey(keys, function(key, keyCallback) {
+    self.store.get(key, function(err, counter) {
+      if (counter) {
+        counter = {
+          count: counter.count,
+          resetAt: counter.resetAt,
+          max: (key.lastIndexOf(ADDRESS_KEY_PREFIX, 0) === 0 ?
+                self.addressMax : self.max)
+        };
+      }
+      keyCallback(err, counter);
+    });
+  }, function(err, counters) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    var retryAfter = 0;
+    counters.forEach(function(counter) {
+      if (counter.count >= counter.max) {
+        retryAfter = Math.max(
+          retryAfter, Math.max(1, Math.ceil(
+            (counter.resetAt - Date.now()) / 1000)));
+      }
+    });
+    callback(null, retryAfter);
+  });
+};
+
+/**
+ * Counts a rejected request of the visitor.
+ */
+RateLimiter.prototype.recordRejection = function(keys, callback) {
+  var self = this;
+  this.forEachKey(keys, function(key, keyCallback) {
+    self.store.increment(key, self.window, keyCallback);
+  }, function(err) {
+    callback(err);
+  });
+};
+
+exports.ADDRESS_KEY_PREFIX = ADDRESS_KEY_PREFIX;
+exports.MemoryStore = MemoryStore;
+exports.RateLimiter = RateLimiter;
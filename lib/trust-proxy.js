@@ -0,0 +1,271 @@
+/*
+ * Decides which proxy headers of a request can be trusted.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var net = require('net');
+
+// Returns an array of bytes of an IPv4 or IPv6 address, or null if
+// the address is invalid. IPv4-mapped IPv6 addresses are returned as
+// IPv4 addresses.
+function addressBytes(address) {
+  var version = net.isIP(address);
+  if (version === 4) {
+    return address.split('.').map(function(part) {
+      return parseInt(part, 10);
+    });
+  }
+  if (version !== 6) {
+    return null;
+  }
+  var ipv4 = null;
+  var lastColon = address.lastIndexOf(':');
+  if (address.indexOf('.', lastColon) !== -1) {
+    ipv4 = addressBytes(address.slice(lastColon + 1));
+    address = address.slice(0, lastColon + 1) + '0:0';
+  }
+  var halves = address.split('::');
+  var head = halves[0] === '' ? [] : halves[0].split(':');
+  var tail = (halves.length < 2 || halves[1] === '') ?
+    [] : halves[1].split(':');
+  var groups = head;
+  for (var i = head.length + tail.length; i < 8; i++) {
+    groups.push('0');
+  }
+  groups = groups.concat(tail);
+  var bytes = [];
+  groups.forEach(function(group) {
+    var value = parseInt(group, 16);
+    bytes.push(Math.floor(value / 256), value % 256);
+  });
+  if (ipv4 !== null) {
+    bytes.splice(12, 4, ipv4[0], ipv4[1], ipv4[2], ipv4[3]);
+  }
+  var mapped = (bytes.slice(0, 12).join('.') ===
+                '0.0.0.0.0.0.0.0.0.0.255.255');
+  return mapped ? bytes.slice(12) : bytes;
+}
+
+// Parses an address or a subnet in CIDR notation (such as
+// '10.0.0.0/8').
+function parseSubnet(subnet) {
+  var parts = subnet.trim().split('/');
+  var bytes = addressBytes(parts[0]);
+  if (bytes === null) {
+    throw new Error('Invalid trusted proxy address: ' + subnet);
+  }
+  var prefixLength = bytes.length * 8;
+  if (parts.length > 1) {
+    prefixLength = parseInt(parts[1], 10);
+    if (isNaN(prefixLength) || prefixLength < 0 ||
+        prefixLength > bytes.length * 8) {
+      throw new Error('Invalid trusted proxy subnet: ' + subnet);
+    }
+  }
+  return {bytes: bytes, prefixLength: prefixLength};
+}
+
+function inSubnet(bytes, subnet) {
+  if (bytes.length !== subnet.bytes.length) {
+    return false;
+  }
+  for (var bit = 0; bit < subnet.prefixLength; bit += 8) {
+    // Compares only the leading bits of a byte that are within the
+    // prefix.
+    var divisor = Math.pow(2, 8 - Math.min(8, subnet.prefixLength - bit));
+    if (Math.floor(bytes[bit / 8] / divisor) !==
+        Math.floor(subnet.bytes[bit / 8] / divisor)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns a function(address, hop) that tells if a proxy with a given
+ * address, at a given hop counted from the server (0 is the direct
+ * peer), is trusted to set proxy headers. The setting can be:
+ *  true or false to trust all or none of the proxies,
+ *  a number of trusted hops,
+ *  an array or a comma separated string of trusted addresses and
+ *  subnets in CIDR notation,
+ *  a function(address, hop).
+ */
+function compileTrust(setting) {
+  if (typeof setting === 'function') {
+    return setting;
+  }
+  if (setting === true || setting === false) {
+    return function() {
+      return setting;
+    };
+  }
+  if (typeof setting === 'number') {
+    return function(address, hop) {
+      return hop < setting;
+    };
+  }
+  if (typeof setting === 'string') {
+    setting = setting.split(',');
+  }
+  var subnets = setting.map(parseSubnet);
+  return function(address) {
+    var bytes = addressBytes(address);
+    return bytes !== null && subnets.some(function(subnet) {
+      return inSubnet(bytes, subnet);
+    });
+  };
+}
+
+// Splits a header value on a separator, except for separators
+// within quoted strings.
+function splitUnquoted(value, separator) {
+  var parts = [], current = '', quoted = false;
+  for (var i = 0; i < value.length; i++) {
+    var c = value.charAt(i);
+    if (quoted && c === '\\') {
+      current += c + value.charAt(i + 1);
+      i += 1;
+      continue;
+    }
+    if (c === '"') {
+      quoted = !quoted;
+    }
+    if (c === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += c;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unquote(value) {
+  value = value.trim();
+  if (value.length >= 2 && value.charAt(0) === '"' &&
+      value.charAt(value.length - 1) === '"') {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+}
+
+/**
+ * Parses RFC 7239 Forwarded header, returns an array of objects with
+ * lower-cased parameter names as keys, one object for each proxy,
+ * ordered from the client to the proxy nearest to the server.
+ */
+function parseForwarded(header) {
+  return splitUnquoted(header, ',').map(function(element) {
+    var params = {};
+    splitUnquoted(element, ';').forEach(function(pair) {
+      var idx = pair.indexOf('=');
+      if (idx !== -1) {
+        params[pair.slice(0, idx).trim().toLowerCase()] =
+          unquote(pair.slice(idx + 1));
+      }
+    });
+    return params;
+  });
+}
+
+// Strips a port and IPv6 brackets from a node address of Forwarded
+// header or X-Forwarded-For header.
+function stripPort(address) {
+  var match = /^\[([^\]]*)\]/.exec(address);
+  if (match !== null) {
+    return match[1];
+  }
+  if (net.isIP(address) === 0 && /^[^:]*:\d+$/.test(address)) {
+    return address.slice(0, address.lastIndexOf(':'));
+  }
+  return address;
+}
+
+function headerList(req, name) {
+  var value = req.headers[name];
+  if (value === undefined) {
+    return [];
+  }
+  return value.split(',').map(function(item) {
+    return item.trim();
+  });
+}
+
+// Returns information about proxies that forwarded the request,
+// ordered from the client to the proxy nearest to the server, taken
+// only from the headers of a given family. Headers of the other
+// family could be set by the client.
+function forwardedBy(req, headers) {
+  if (headers === 'forwarded') {
+    if (!req.headers.hasOwnProperty('forwarded')) {
+      return {addresses: [], protos: [], hosts: []};
+    }
+    var elements = parseForwarded(req.headers['forwarded']);
+    return {
+      addresses: elements.map(function(element) {
+        return stripPort(element['for'] || '');
+      }),
+      protos: elements.map(function(element) {
+        return element.proto;
+      }),
+      hosts: elements.map(function(element) {
+        return element.host;
+      })
+    };
+  }
+  return {
+    addresses: headerList(req, 'x-forwarded-for').map(stripPort),
+    protos: headerList(req, 'x-forwarded-proto'),
+    hosts: headerList(req, 'x-forwarded-host')
+  };
+}
+
+/**
+ * Returns information about the request as seen by the client:
+ * {scheme, host, address}. Proxy headers are used only if they were
+ * set by trusted proxies. headers selects which headers the proxies
+ * set: 'x-forwarded' (X-Forwarded-For, X-Forwarded-Proto and
+ * X-Forwarded-Host) or 'forwarded' (RFC 7239 Forwarded).
+ */
+function clientView(req, trust, headers) {
+  var forwarded = forwardedBy(req, headers);
+  // Addresses from the server to the client.
+  var chain = [req.connection.remoteAddress]
+        .concat(forwarded.addresses.slice().reverse());
+  // Number of trusted proxies.
+  var hops = 0;
+  while (hops < chain.length && trust(chain[hops], hops)) {
+    hops += 1;
+  }
+
+  // The value set by the outermost trusted proxy.
+  function trusted(values) {
+    if (hops === 0 || values.length === 0) {
+      return undefined;
+    }
+    return values[Math.max(0, values.length - hops)];
+  }
+
+  var scheme = req.connection.encrypted ? 'https' : 'http';
+  var proto = trusted(forwarded.protos);
+  if (proto !== undefined && /^https?$/i.test(proto)) {
+    scheme = proto.toLowerCase();
+  }
+  return {
+    scheme: scheme,
+    host: trusted(forwarded.hosts) || req.headers['host'],
+    address: chain[Math.min(hops, chain.length - 1)]
+  };
+}
+
+var PROXY_HEADERS = ['x-forwarded', 'forwarded'];
+
+exports.compileTrust = compileTrust;
+exports.PROXY_HEADERS = PROXY_HEADERS;
+exports.parseForwarded = parseForwarded;
+exports.clientView = clientView;
@@ -0,0 +1,203 @@
+/*
+ * Tests of Koa, Fastify and plain node:http adapters.
+ * Copyright (C) 2013-2017 Jan Wrobel <jan@wwwhisper.io>
+ *
+ * This program is freely distributable under the terms of the
+ * Simplified BSD License. See COPYING.
+ */
+
+var assert = require('assert');
+var fastify = require('fastify');
+var http = require('http');
+var Koa = require('koa');
+var wwwhisper = require('../lib/connect-wwwhisper');
+var koaWwwhisper = require('../koa');
+var fastifyWwwhisper = require('../fastify');
+
+var WWWHISPER_PORT = 10000;
+var WWWHISPER_URL = 'http://localhost:' + WWWHISPER_PORT;
+var TEST_USER = 'foo@example.com';
+var SCRIPT = '<script src="/wwwhisper/auth/iframe.js"></script>\n';
+
+function htmlBody(user) {
+  return '<html><body>' + user + '</body></html>';
+}
+
+// Each adapter starts an application on port 9999 that responds to
+// all requests with an HTML document with the email of the user, as
+// seen by the application.
+var ADAPTERS = {
+  koa: function(options, callback) {
+    var app = new Koa();
+    app.silent = true;
+    app.use(koaWwwhisper(options));
+    app.use(function(ctx) {
+      ctx.type = 'text/html';
+      ctx.body = htmlBody(ctx.state.wwwhisper.user);
+    });
+    var server = app.listen(9999, callback);
+    return function(done) {
+      server.close(done);
+    };
+  },
+
+  fastify: function(options, callback) {
+    var app = fastify();
+    app.register(fastifyWwwhisper, options);
+    app.all('/*', function(request, reply) {
+      reply.type('text/html').send(htmlBody(request.wwwhisper.user));
+    });
+    app.listen({port: 9999}, callback);
+    return function(done) {
+      app.close(done);
+    };
+  },
+
+  http: function(options, callback) {
+    var server = wwwhisper.createServer(options, function(req, res) {
+      res.writeHead(200, {'Content-Type': 'text/html'});
+      res.end(htmlBody(req.wwwhisper.user));
+    });
+    server.listen(9999, callback);
+    return function(done) {
+      server.close(done);
+    };
+  }
+};
+
+function request(path, callback) {
+  http.get('http://localhost:9999' + path, function(response) {
+    var chunks = [];
+    response.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    response.on('end', function() {
+      response.rawBody = Buffer.concat(chunks);
+      response.body = response.rawBody.toString();
+      callback(response);
+    });
+  });
+}
+
+Object.keys(ADAPTERS).forEach(function(name) {
+  suite(name + ' adapter', function() {
+    var startApp = ADAPTERS[name];
+    var stopApp = null;
+    var authServer;
+    var authHandler;
+    var authCallCount;
+
+    function grant(req, res) {
+      res.writeHead(200, {User: TEST_USER});
+      res.end();
+    }
+
+    function restartApp(options, done) {
+      stopApp(function() {
+        stopApp = startApp(options, done);
+      });
+    }
+
+    setup(function(done) {
+      process.env.WWWHISPER_URL = WWWHISPER_URL;
+      authCallCount = 0;
+      authHandler = grant;
+      authServer = http.createServer(function(req, res) {
+        authCallCount += 1;
+        authHandler(req, res);
+      }).listen(WWWHISPER_PORT, function() {
+        stopApp = startApp({}, done);
+      });
+    });
+
+    teardown(function(done) {
+      if (authServer !== null) {
+        authServer.close();
+      }
+      stopApp(done);
+    });
+
+    test('request allowed', function(done) {
+      request('/foo/bar', function(response) {
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['user'], TEST_USER);
+        assert.equal(response.body,
+                     '<html><body>' + TEST_USER + SCRIPT + '</body></html>');
+        assert.equal(authCallCount, 1);
+        done();
+      });
+    });
+
+    test('login required', function(done) {
+      authHandler = function(req, res) {
+        res.writeHead(401, {'Content-Type': 'text/plain'});
+        res.end('Login required');
+      };
+      request('/foo', function(response) {
+        assert.equal(response.statusCode, 401);
+        assert.equal(response.body, 'Login required');
+        done();
+      });
+    });
+
+    test('request denied', function(done) {
+      authHandler = function(req, res) {
+        res.writeHead(403, {'Content-Type': 'text/plain'});
+        res.end('Not authorized');
+      };
+      request('/foo', function(response) {
+        assert.equal(response.statusCode, 403);
+        assert.equal(response.body, 'Not authorized');
+        done();
+      });
+    });
+
+    test('wwwhisper path proxied', function(done) {
+      var body = Buffer.from([0, 1, 2, 254, 255]);
+      authHandler = function(req, res) {
+        assert.equal(req.url, '/wwwhisper/auth/logo.png');
+        res.writeHead(200, {'Content-Type': 'image/png'});
+        res.end(body);
+      };
+      request('/wwwhisper/auth/logo.png', function(response) {
+        assert.equal(response.statusCode, 200);
+        assert(response.rawBody.equals(body));
+        done();
+      });
+    });
+
+    test('public path not authorized', function(done) {
+      restartApp({publicPaths: ['/health']}, function() {
+        request('/health', function(response) {
+          assert.equal(response.statusCode, 200);
+          assert.equal(authCallCount, 0);
+          assert(response.body.indexOf('undefined') !== -1);
+          done();
+        });
+      });
+    });
+
+    test('auth request failure', function(done) {
+      authServer.close();
+      authServer = null;
+      restartApp({retries: 0}, function() {
+        request('/foo', function(response) {
+          assert.equal(response.statusCode, 500);
+          assert.equal(response.body, 'auth request failed');
+          done();
+        });
+      });
+    });
+
+    test('auth request failure passed to framework', function(done) {
+      authServer.close();
+      authServer = null;
+      restartApp({retries: 0, onError: 'next'}, function() {
+        request('/foo', function(response) {
+          assert.equal(response.statusCode, 500);
+          done();
+        });
+      });
+    });
+  });
+});